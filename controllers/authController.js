@@ -1,6 +1,7 @@
 const User = require('../models/User')
 const generateToken = require('../utils/generateToken')
 const sendEmail = require('../utils/sendEmail')
+const { mergeGuestCarts } = require('../utils/cart')
 const jwt = require('jsonwebtoken')
 const Joi = require('joi')
 
@@ -148,6 +149,17 @@ const login = async (req, res) => {
         storeRoles: user.storeRoles,
         addresses: user.addresses
       }
+
+      // Merge any guest carts into the user's carts
+      const guestToken = req.headers['x-cart-token']
+      if (guestToken) {
+        try {
+          await mergeGuestCarts(guestToken, user._id)
+        } catch (error) {
+          console.error('Error merging guest carts:', error)
+        }
+      }
+
       const token = generateToken(tokenData)
       return res.json({ message: 'User authenticated', data: { user: tokenData, token } })
     } else {
@@ -0,0 +1,302 @@
+const Cart = require('../models/Cart')
+const Product = require('../models/Product')
+const { findVariant, priceCart } = require('../utils/cart')
+const { findCoupon, evaluateCoupon } = require('../utils/coupons')
+const { createConverter } = require('../utils/currency')
+const { visibleProductFilter } = require('../utils/productStatus')
+const { v4: uuidv4 } = require('uuid')
+const Joi = require('joi')
+
+const lineItemSchema = {
+  productId: Joi.string().trim().length(24).required(),
+  color: Joi.string().trim().required(),
+  size: Joi.string().trim().required(),
+  storeId: Joi.string().trim().required(),
+}
+
+// Carts belong to the logged in user, or to the guest token sent in the x-cart-token header
+const getCartOwner = (req) => {
+  if (req.user) {
+    return { userId: req.user.id }
+  }
+
+  const guestToken = req.headers['x-cart-token']
+  return guestToken ? { guestToken } : null
+}
+
+const findCart = async (req) => {
+  const owner = getCartOwner(req)
+  if (!owner) return null
+
+  return Cart.findOne({ storeId: req.store._id, ...owner })
+}
+
+const findOrCreateCart = async (req) => {
+  const cart = await findCart(req)
+  if (cart) return cart
+
+  const owner = getCartOwner(req) || { guestToken: uuidv4() }
+  return new Cart({ storeId: req.store._id, ...owner, items: [] })
+}
+
+const findCartItem = (cart, { productId, color, size }) => {
+  return cart.items.find((item) => item.productId.toString() === productId && item.color === color && item.size === size)
+}
+
+// The cart is always priced in the store currency. With a currency query parameter the totals are
+// also shown converted, for display only.
+const getCart = async (req, res) => {
+  try {
+    const cart = await findCart(req)
+    const data = await priceCart(cart, req.store)
+
+    if (req.query.currency) {
+      const convert = await createConverter(data.currency, req.query.currency)
+      data.display = {
+        currency: convert.currency,
+        rate: convert.rate,
+        subtotal: convert(data.subtotal),
+        discount: convert(data.discount),
+        total: convert(data.total),
+      }
+    }
+
+    res.json({
+      message: 'Cart fetched successfully',
+      data,
+    })
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message })
+    }
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const addCartItem = async (req, res) => {
+  const schema = Joi.object({
+    ...lineItemSchema,
+    quantity: Joi.number().integer().min(1).default(1),
+  }).options({ abortEarly: false })
+
+  const { error, value } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  const { productId, color, size, quantity } = value
+
+  try {
+    const product = await Product.findOne({ _id: productId, storeId: req.store._id, ...visibleProductFilter() }).lean()
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found in this store' })
+    }
+
+    const variant = findVariant(product, color, size)
+    if (!variant) {
+      return res.status(400).json({ message: `Size ${size} in color ${color} is not available for this product` })
+    }
+
+    const cart = await findOrCreateCart(req)
+    const existingItem = findCartItem(cart, value)
+    const newQuantity = (existingItem?.quantity || 0) + quantity
+
+    if (newQuantity > variant.quantity) {
+      return res.status(400).json({ message: `Only ${variant.quantity} item(s) left in stock` })
+    }
+
+    if (existingItem) {
+      existingItem.quantity = newQuantity
+    } else {
+      cart.items.push({ productId, color, size, quantity })
+    }
+
+    await cart.save()
+
+    const data = await priceCart(cart, req.store)
+
+    res.status(201).json({
+      message: 'Item added to cart',
+      data,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const updateCartItem = async (req, res) => {
+  const schema = Joi.object({
+    ...lineItemSchema,
+    quantity: Joi.number().integer().min(0).required(),
+  }).options({ abortEarly: false })
+
+  const { error, value } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  const { productId, color, size, quantity } = value
+
+  try {
+    const cart = await findCart(req)
+    const existingItem = cart && findCartItem(cart, value)
+
+    if (!existingItem) {
+      return res.status(404).json({ message: 'Item not found in cart' })
+    }
+
+    if (quantity === 0) {
+      cart.items.pull(existingItem._id)
+    } else {
+      const product = await Product.findOne({ _id: productId, storeId: req.store._id, ...visibleProductFilter() }).lean()
+      const variant = product ? findVariant(product, color, size) : null
+
+      if (!variant) {
+        return res.status(400).json({ message: 'This product option is no longer available' })
+      }
+
+      if (quantity > variant.quantity) {
+        return res.status(400).json({ message: `Only ${variant.quantity} item(s) left in stock` })
+      }
+
+      existingItem.quantity = quantity
+    }
+
+    await cart.save()
+
+    const data = await priceCart(cart, req.store)
+
+    res.json({
+      message: 'Cart updated successfully',
+      data,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const removeCartItem = async (req, res) => {
+  const schema = Joi.object(lineItemSchema).options({ abortEarly: false })
+
+  const { error, value } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  try {
+    const cart = await findCart(req)
+    const existingItem = cart && findCartItem(cart, value)
+
+    if (!existingItem) {
+      return res.status(404).json({ message: 'Item not found in cart' })
+    }
+
+    cart.items.pull(existingItem._id)
+    await cart.save()
+
+    const data = await priceCart(cart, req.store)
+
+    res.json({
+      message: 'Item removed from cart',
+      data,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const clearCart = async (req, res) => {
+  try {
+    const cart = await findCart(req)
+
+    if (cart) {
+      cart.items = []
+      await cart.save()
+    }
+
+    const data = await priceCart(cart, req.store)
+
+    res.json({
+      message: 'Cart cleared successfully',
+      data,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const applyCoupon = async (req, res) => {
+  const schema = Joi.object({
+    code: Joi.string().trim().max(50).required(),
+    storeId: Joi.string().trim().required(),
+  }).options({ abortEarly: false })
+
+  const { error } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  try {
+    const cart = await findCart(req)
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ message: 'Your cart is empty' })
+    }
+
+    const coupon = await findCoupon(req.store._id, req.body.code)
+    const pricedCart = await priceCart(cart, req.store)
+    await evaluateCoupon(coupon, { lines: pricedCart.items.filter((line) => line.name), userId: cart.userId })
+
+    cart.couponCode = coupon.code
+    await cart.save()
+
+    const data = await priceCart(cart, req.store)
+
+    res.json({
+      message: 'Coupon applied successfully',
+      data,
+    })
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message })
+    }
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const removeCoupon = async (req, res) => {
+  try {
+    const cart = await findCart(req)
+
+    if (cart && cart.couponCode) {
+      cart.couponCode = undefined
+      await cart.save()
+    }
+
+    const data = await priceCart(cart, req.store)
+
+    res.json({
+      message: 'Coupon removed successfully',
+      data,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+module.exports = {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  applyCoupon,
+  removeCoupon,
+}
@@ -1,6 +1,10 @@
 const Category = require('../models/Category')
-// const Product = require('../models/Product')
+const TaxClass = require('../models/TaxClass')
+const { ATTRIBUTE_TYPES } = require('../utils/attributes')
+const Product = require('../models/Product')
 const { uploadToS3, deleteFromS3 } = require('../utils/s3')
+const { getPurgeDate } = require('../utils/trash')
+const { DELETE_POLICIES, setParent, findNewParent, moveCategory, getDeletionImpact, deleteCategoryWithPolicy, buildTree, getBreadcrumbs } = require('../utils/categoryTree')
 const Joi = require('joi')
 const sharp = require('sharp')
 const { ObjectId, isValidObjectId } = require('mongoose').Types
@@ -31,30 +35,87 @@ const processAndUploadImage = async (imageFile, pathPrefix = 'categories') => {
   }
 }
 
+const attributesSchema = Joi.array()
+  .items(
+    Joi.object({
+      key: Joi.string()
+        .trim()
+        .pattern(/^[a-z][a-z0-9_]*$/)
+        .max(40)
+        .required(),
+      label: Joi.string().trim().min(1).max(50).required(),
+      type: Joi.string()
+        .valid(...ATTRIBUTE_TYPES)
+        .default('text'),
+      allowedValues: Joi.array()
+        .items(Joi.string().trim().min(1).max(100))
+        .unique()
+        .when('type', {
+          is: Joi.valid('select', 'multiselect'),
+          then: Joi.array().min(1).required(),
+          otherwise: Joi.forbidden(),
+        }),
+      required: Joi.boolean().default(false),
+    })
+  )
+  .unique('key')
+
+// Attribute definitions are sent as a JSON string, like product colors
+const parseAttributes = (attributes) => {
+  let parsedAttributes
+  try {
+    parsedAttributes = JSON.parse(attributes)
+  } catch (err) {
+    return { error: 'Invalid attributes data' }
+  }
+
+  const { error, value } = attributesSchema.validate(parsedAttributes, { abortEarly: false })
+  if (error) {
+    return { error: error.details.map((err) => err.message).join(', ') }
+  }
+
+  return { value }
+}
+
+// Sort orders accepted by the sort query parameter of the category listings. position is the
+// manual order set by reorderCategories, categories that were never reordered come by name.
+// Categories have no createdAt, newest goes by the creation time in the ObjectId.
+const CATEGORY_SORTS = {
+  position: { position: 1, name: 1 },
+  name: { name: 1 },
+  newest: { _id: -1 },
+}
+
+const getCategorySort = (req, res) => {
+  const { sort = 'position' } = req.query
+  if (!Object.keys(CATEGORY_SORTS).includes(sort)) {
+    res.status(400).json({ message: `sort must be one of ${Object.keys(CATEGORY_SORTS).join(', ')}` })
+    return null
+  }
+  return CATEGORY_SORTS[sort]
+}
+
 const getCategories = async (req, res) => {
+  const categorySort = getCategorySort(req, res)
+  if (!categorySort) return
+
   try {
     // Use store from middleware
     const storeId = req.store._id
 
-    const categories = await Category.find({ storeId }).lean()
+    const categories = await Category.find({ storeId }).sort(categorySort).lean()
 
+    // Direct subcategories only, see getCategoryTree for every level
     const formattedCategories = categories.map((category) => {
-      const formattedCategory = {
-        ...category,
-        subcategories: [],
-      }
+      const subcategories = categories.filter((c) => c.parentCategory && c.parentCategory.toString() === category._id.toString())
 
-      if (!category.isSubcategory) {
-        const subcategories = categories.filter(
-          (c) => c.parentCategory && c.parentCategory.toString() === category._id.toString() && c.storeId.toString() === storeId.toString()
-        )
-        formattedCategory.subcategories = subcategories.map((subcategory) => ({
+      return {
+        ...category,
+        subcategories: subcategories.map((subcategory) => ({
           id: subcategory._id,
           name: subcategory.name,
-        }))
+        })),
       }
-
-      return formattedCategory
     })
 
     res.status(200).json({
@@ -66,6 +127,26 @@ const getCategories = async (req, res) => {
   }
 }
 
+// Every category of the store nested under its parent, top level categories first
+const getCategoryTree = async (req, res) => {
+  const categorySort = getCategorySort(req, res)
+  if (!categorySort) return
+
+  try {
+    const categories = await Category.find({ storeId: req.store._id })
+      .select('name description image thumbnail parentCategory ancestors depth position')
+      .sort(categorySort)
+      .lean()
+
+    res.json({
+      message: 'Category tree fetched successfully',
+      data: buildTree(categories),
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
 const getCategoryById = async (req, res) => {
   try {
     const storeId = req.store._id
@@ -78,23 +159,21 @@ const getCategoryById = async (req, res) => {
       return res.status(404).json({ message: 'Category not found' })
     }
 
+    const subcategories = await Category.find({
+      parentCategory: category._id,
+      storeId,
+    })
+      .select('name _id')
+      .sort(CATEGORY_SORTS.position)
+      .lean()
+
     const formattedCategory = {
       ...category,
-      subcategories: [],
-    }
-
-    if (!category.isSubcategory) {
-      const subcategories = await Category.find({
-        parentCategory: category._id,
-        storeId,
-      })
-        .select('name _id')
-        .lean()
-
-      formattedCategory.subcategories = subcategories.map((subcategory) => ({
+      breadcrumbs: await getBreadcrumbs(category._id, storeId),
+      subcategories: subcategories.map((subcategory) => ({
         id: subcategory._id,
         name: subcategory.name,
-      }))
+      })),
     }
 
     res.status(200).json({
@@ -116,6 +195,8 @@ const createCategory = async (req, res) => {
       then: Joi.required(),
       otherwise: Joi.forbidden(),
     }),
+    taxClassId: Joi.string().trim().length(24).allow(''),
+    attributes: Joi.string().trim(),
     storeId: Joi.string().required()
   })
 
@@ -124,33 +205,37 @@ const createCategory = async (req, res) => {
     return res.status(400).json({ message: error.details[0].message })
   }
 
-  const { name, description, isSubcategory, parentCategoryId } = req.body
+  const { name, description, isSubcategory, parentCategoryId, taxClassId } = req.body
   const storeId = req.store._id
 
+  let attributes
+  if (req.body.attributes) {
+    const parsed = parseAttributes(req.body.attributes)
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error })
+    }
+    attributes = parsed.value
+  }
+
   try {
-    // Check if category name already exists in this store
+    if (taxClassId && !(await TaxClass.exists({ _id: taxClassId, storeId }))) {
+      return res.status(400).json({ message: 'Tax class not found in this store' })
+    }
+
+    // Check if category name already exists in this store. Names stay taken while a category is in the trash.
     const categoryExists = await Category.findOne({
       name,
       storeId,
-    })
+    }).setOptions({ withDeleted: true })
 
     if (categoryExists) {
-      return res.status(400).json({ message: 'Category already exists in this store' })
+      return res.status(400).json({
+        message: categoryExists.deletedAt ? 'A category with this name is in the trash, restore or delete it first' : 'Category already exists in this store',
+      })
     }
 
     // If it's a subcategory, verify parent category belongs to same store
-    if (isSubcategory && parentCategoryId) {
-      const parentCategory = await Category.findOne({
-        _id: parentCategoryId,
-        storeId,
-      })
-
-      if (!parentCategory) {
-        return res.status(400).json({
-          message: 'Parent category not found in this store',
-        })
-      }
-    }
+    const parentCategory = isSubcategory && parentCategoryId ? await findNewParent(parentCategoryId, storeId) : null
 
     let image = ''
     let thumbnail = ''
@@ -169,21 +254,31 @@ const createCategory = async (req, res) => {
       }
     }
 
-    const category = await Category.create({
+    const category = new Category({
       name,
       description,
       image,
       thumbnail,
-      isSubcategory: isSubcategory || false,
-      parentCategory: isSubcategory ? parentCategoryId : null,
+      taxClassId: taxClassId || null,
+      attributes: attributes || [],
       storeId,
     })
+    setParent(category, parentCategory)
+
+    // New categories go after their siblings
+    const lastSibling = await Category.findOne({ storeId, parentCategory: category.parentCategory }).sort({ position: -1 }).select('position').lean()
+    category.position = lastSibling ? lastSibling.position + 1 : 0
+
+    await category.save()
 
     res.status(201).json({
       message: 'Category created successfully',
       data: category,
     })
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message })
+    }
     console.error('Error in createCategory:', error)
     res.status(500).json({ message: 'Server error', error: error.message })
   }
@@ -199,17 +294,29 @@ const updateCategory = async (req, res) => {
       then: Joi.required(),
       otherwise: Joi.forbidden(),
     }),
+    taxClassId: Joi.string().trim().length(24).allow(''),
+    attributes: Joi.string().trim(),
     storeId: Joi.string().required()
   })
 
-  const { error } = schema.validate(req.body)
+  const { error, value } = schema.validate(req.body)
   if (error) {
     return res.status(400).json({ message: error.details[0].message })
   }
 
-  const { name, description, isSubcategory, parentCategoryId } = req.body
+  // Multipart fields are strings, Joi converts isSubcategory=false to a boolean
+  const { name, description, isSubcategory, parentCategoryId, taxClassId } = value
   const storeId = req.store._id
 
+  let attributes
+  if (req.body.attributes) {
+    const parsed = parseAttributes(req.body.attributes)
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error })
+    }
+    attributes = parsed.value
+  }
+
   try {
     const category = await Category.findOne({
       _id: req.params.id,
@@ -226,31 +333,37 @@ const updateCategory = async (req, res) => {
         name,
         storeId,
         _id: { $ne: category._id },
-      })
+      }).setOptions({ withDeleted: true })
 
       if (nameExists) {
         return res.status(400).json({
-          message: 'Category name already exists in this store',
+          message: nameExists.deletedAt ? 'A category with this name is in the trash, restore or delete it first' : 'Category name already exists in this store',
         })
       }
       category.name = name
     }
 
     if (description) category.description = description
-    if (isSubcategory !== undefined) category.isSubcategory = isSubcategory
-
-    if (isSubcategory && parentCategoryId) {
-      const parentCategory = await Category.findOne({
-        _id: parentCategoryId,
-        storeId,
-      })
 
-      if (!parentCategory) {
-        return res.status(400).json({
-          message: 'Parent category not found in this store',
-        })
+    // An empty value removes the tax class
+    if (taxClassId !== undefined) {
+      if (taxClassId && !(await TaxClass.exists({ _id: taxClassId, storeId }))) {
+        return res.status(400).json({ message: 'Tax class not found in this store' })
       }
-      category.parentCategory = parentCategoryId
+      category.taxClassId = taxClassId || null
+    }
+
+    // Replaces all definitions, products keep their values until they are next edited
+    if (attributes) category.attributes = attributes
+
+    // A new parent, or null to make it a top level category. Checked here, before any image
+    // upload, so a move under one of its own subcategories is refused early.
+    let newParentId
+    if (isSubcategory && parentCategoryId !== category.parentCategory?.toString()) {
+      await findNewParent(parentCategoryId, storeId, category)
+      newParentId = parentCategoryId
+    } else if (isSubcategory === false && category.parentCategory) {
+      newParentId = null
     }
 
     if (req.file) {
@@ -276,15 +389,40 @@ const updateCategory = async (req, res) => {
       }
     }
 
-    const updatedCategory = await category.save()
+    // Moving takes the subcategories along
+    const updatedCategory = newParentId !== undefined ? await moveCategory(category, newParentId) : await category.save()
     res.json(updatedCategory)
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message })
+    }
     console.error('Error in updateCategory:', error)
     res.status(500).json({ message: 'Server error', error: error.message })
   }
 }
 
+// Move a category to the trash. policy decides what happens to its products and subcategories,
+// see deleteCategoryWithPolicy. With dryRun nothing changes and the affected counts are returned.
 const deleteCategory = async (req, res) => {
+  const schema = Joi.object({
+    policy: Joi.string()
+      .valid(...DELETE_POLICIES)
+      .default('block'),
+    targetCategoryId: Joi.string()
+      .trim()
+      .length(24)
+      .when('policy', { is: 'reassign', then: Joi.required(), otherwise: Joi.forbidden() }),
+    dryRun: Joi.boolean().default(false),
+    storeId: Joi.string(),
+  }).options({ abortEarly: false })
+
+  const { error, value } = schema.validate({ ...req.query, ...req.body })
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
   try {
     const storeId = req.store._id
     const category = await Category.findOne({
@@ -296,61 +434,71 @@ const deleteCategory = async (req, res) => {
       return res.status(404).json({ message: 'Category not found in this store' })
     }
 
-    // Delete images from S3
-    if (category.image) {
-      try {
-        await deleteFromS3(category.image.split('/').pop())
-      } catch (error) {
-        console.error('Error deleting category image from S3:', error)
+    let target = null
+    if (value.policy === 'reassign') {
+      target = await Category.findOne({ _id: value.targetCategoryId, storeId })
+      if (!target) {
+        return res.status(400).json({ message: 'Target category not found in this store' })
       }
-    }
-    if (category.thumbnail) {
-      try {
-        await deleteFromS3(category.thumbnail.split('/').pop())
-      } catch (error) {
-        console.error('Error deleting category thumbnail from S3:', error)
+      if (target._id.equals(category._id) || target.ancestors.some((id) => id.equals(category._id))) {
+        return res.status(400).json({ message: 'Target category cannot be the deleted category or one of its subcategories' })
       }
     }
 
-   // Find all products in this store associated with this category
-    // const productsToDelete = await Product.find({
-    //   categories: category._id,
-    //   storeId,
-    // })
-
-    // // Delete associated products
-    // for (const product of productsToDelete) {
-    //   // Delete product images from S3
-    //   for (const image of product.images) {
-    //     try {
-    //       await deleteFromS3(image.original?.split('/').pop())
-    //       await deleteFromS3(image.thumbnail?.split('/').pop())
-    //     } catch (error) {
-    //       console.error('Error deleting product image from S3:', error)
-    //     }
-    //   }
-
-    //   await Product.deleteOne({ _id: product._id })
-    // }
-
-    // Delete the category
-    await Category.deleteOne({ _id: category._id })
-
-    res.json({ message: 'Category was deleted successfully' })
+    const impact = await getDeletionImpact(category)
+    if (value.policy !== 'detach') impact.uncategorizedProducts = 0
+
+    const inUse = impact.products > 0 || impact.subcategories > 0
+    const blocked = value.policy === 'block' && inUse
+
+    if (value.dryRun) {
+      return res.json({
+        message: blocked ? 'Category is in use and would not be deleted' : 'Dry run, nothing was deleted',
+        data: { policy: value.policy, targetCategoryId: target?._id, blocked, ...impact },
+      })
+    }
+
+    if (blocked) {
+      return res.status(409).json({
+        message: 'Category has products or subcategories, reassign or detach them to delete it',
+        data: impact,
+      })
+    }
+
+    await deleteCategoryWithPolicy(category, { policy: value.policy, target, userId: req.user.id })
+
+    res.json({
+      message: 'Category moved to trash',
+      data: {
+        _id: category._id,
+        deletedAt: category.deletedAt,
+        purgeAt: getPurgeDate(category.deletedAt),
+        policy: value.policy,
+        targetCategoryId: target?._id,
+        ...impact,
+      },
+    })
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message })
+    }
     res.status(500).json({ message: 'Server error', error: error.message })
   }
 }
 
+// Direct subcategories, or every category below with includeDescendants=true
 const getSubcategoriesByCategory = async (req, res) => {
+  const categorySort = getCategorySort(req, res)
+  if (!categorySort) return
+
   try {
     const storeId = req.store._id
     const categoryId = req.params.categoryId
 
     const subcategories = await Category.find({
-      parentCategory: categoryId,
+      [req.query.includeDescendants === 'true' ? 'ancestors' : 'parentCategory']: categoryId,
       storeId,
-    })
+    }).sort({ depth: 1, ...categorySort })
 
     res.status(200).json({
       message: 'Subcategories fetched successfully',
@@ -361,11 +509,142 @@ const getSubcategoriesByCategory = async (req, res) => {
   }
 }
 
+// Move a category and all its subcategories under another category, or to the top level
+// when parentCategoryId is empty
+const moveCategorySubtree = async (req, res) => {
+  const schema = Joi.object({
+    parentCategoryId: Joi.string().trim().length(24).allow('', null).required(),
+    storeId: Joi.string().required(),
+  }).options({ abortEarly: false })
+
+  const { error, value } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  try {
+    const category = await Category.findOne({ _id: req.params.id, storeId: req.store._id })
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found in this store' })
+    }
+
+    await moveCategory(category, value.parentCategoryId || null)
+
+    const movedCount = await Category.countDocuments({ storeId: req.store._id, ancestors: category._id })
+
+    res.json({
+      message: `Category moved with ${movedCount} subcategories`,
+      data: category,
+    })
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message })
+    }
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+// Set the manual order of categories from an ordered list of ids. Positions are compared among
+// categories with the same parent, so the list usually holds the subcategories of one category.
+const reorderCategories = async (req, res) => {
+  const schema = Joi.object({
+    categoryIds: Joi.array().items(Joi.string().trim().length(24)).min(1).unique().required(),
+    storeId: Joi.string().required(),
+  }).options({ abortEarly: false })
+
+  const { error, value } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  try {
+    const storeId = req.store._id
+
+    const found = await Category.countDocuments({ _id: { $in: value.categoryIds }, storeId })
+    if (found !== value.categoryIds.length) {
+      return res.status(400).json({ message: 'Some categories were not found in this store' })
+    }
+
+    await Category.bulkWrite(
+      value.categoryIds.map((id, position) => ({
+        updateOne: { filter: { _id: id, storeId }, update: { $set: { position } } },
+      }))
+    )
+
+    res.json({
+      message: 'Categories reordered successfully',
+      data: value.categoryIds.map((id, position) => ({ _id: id, position })),
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+// Set the manual order of the products in a category, used by sort=position on the product
+// listings. The listed products come first, the other products of the category keep their
+// current order after them.
+const reorderCategoryProducts = async (req, res) => {
+  const schema = Joi.object({
+    productIds: Joi.array().items(Joi.string().trim().length(24)).min(1).unique().required(),
+    storeId: Joi.string().required(),
+  }).options({ abortEarly: false })
+
+  const { error, value } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  try {
+    const storeId = req.store._id
+    const category = await Category.findOne({ _id: req.params.id, storeId })
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found in this store' })
+    }
+
+    const positionPath = `categoryPositions.${category._id}`
+    const products = await Product.find({ storeId, categories: category._id })
+      .select('_id')
+      .sort({ [positionPath]: 1, createdAt: -1 })
+      .lean()
+    const categoryProductIds = products.map((product) => product._id.toString())
+
+    const missingId = value.productIds.find((id) => !categoryProductIds.includes(id))
+    if (missingId) {
+      return res.status(400).json({ message: `Product ${missingId} is not in this category` })
+    }
+
+    const orderedIds = [...value.productIds, ...categoryProductIds.filter((id) => !value.productIds.includes(id))]
+
+    await Product.bulkWrite(
+      orderedIds.map((id, position) => ({
+        updateOne: { filter: { _id: id, storeId }, update: { $set: { [positionPath]: position } } },
+      }))
+    )
+
+    res.json({
+      message: 'Category products reordered successfully',
+      data: orderedIds.map((id, position) => ({ _id: id, position })),
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
 module.exports = {
   getCategories,
+  getCategoryTree,
+  moveCategorySubtree,
   getCategoryById,
   createCategory,
   updateCategory,
   deleteCategory,
   getSubcategoriesByCategory,
+  reorderCategories,
+  reorderCategoryProducts,
 }
@@ -0,0 +1,178 @@
+const Coupon = require('../models/Coupon')
+const Joi = require('joi')
+
+const objectIdList = Joi.array().items(Joi.string().trim().length(24))
+
+const couponSchema = {
+  code: Joi.string()
+    .trim()
+    .pattern(/^[A-Za-z0-9_-]+$/)
+    .min(3)
+    .max(50),
+  description: Joi.string().trim().max(500).allow(''),
+  type: Joi.string().valid('percentage', 'fixed', 'free_shipping'),
+  value: Joi.number()
+    .min(0)
+    .when('type', { is: 'percentage', then: Joi.number().max(100) }),
+  maxDiscount: Joi.number().min(0).allow(null),
+  minSpend: Joi.number().min(0),
+  usageLimit: Joi.number().integer().min(1).allow(null),
+  perCustomerLimit: Joi.number().integer().min(1).allow(null),
+  startsAt: Joi.date().allow(null),
+  endsAt: Joi.date().allow(null),
+  categories: objectIdList,
+  products: objectIdList,
+  isActive: Joi.boolean(),
+  storeId: Joi.string().trim().required(),
+}
+
+// Store staff routes
+const getCoupons = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, search, isActive } = req.query
+    const query = { storeId: req.store._id }
+
+    if (search) query.code = { $regex: search.toUpperCase(), $options: 'i' }
+    if (isActive !== undefined) query.isActive = isActive === 'true'
+
+    const totalCoupons = await Coupon.countDocuments(query)
+    const coupons = await Coupon.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean()
+
+    res.json({
+      message: 'Coupons fetched successfully',
+      data: {
+        coupons,
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCoupons / limit),
+        totalCoupons,
+      },
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const getCouponById = async (req, res) => {
+  try {
+    const coupon = await Coupon.findOne({ _id: req.params.id, storeId: req.store._id }).lean()
+
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' })
+    }
+
+    res.json({
+      message: 'Coupon fetched successfully',
+      data: coupon,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const createCoupon = async (req, res) => {
+  const schema = Joi.object({
+    ...couponSchema,
+    code: couponSchema.code.required(),
+    type: couponSchema.type.required(),
+    value: couponSchema.value.when('type', { is: Joi.valid('percentage', 'fixed'), then: Joi.required() }),
+    endsAt: couponSchema.endsAt.when('startsAt', { is: Joi.date().required(), then: Joi.date().greater(Joi.ref('startsAt')) }),
+  }).options({ abortEarly: false })
+
+  const { error, value } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  try {
+    const { storeId, ...fields } = value
+
+    const couponExists = await Coupon.exists({ storeId: req.store._id, code: fields.code.toUpperCase() })
+    if (couponExists) {
+      return res.status(400).json({ message: 'A coupon with this code already exists in this store' })
+    }
+
+    const coupon = await Coupon.create({ ...fields, storeId: req.store._id })
+
+    res.status(201).json({
+      message: 'Coupon created successfully',
+      data: coupon,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const updateCoupon = async (req, res) => {
+  const schema = Joi.object(couponSchema).options({ abortEarly: false })
+
+  const { error, value } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  try {
+    const coupon = await Coupon.findOne({ _id: req.params.id, storeId: req.store._id })
+
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' })
+    }
+
+    const { storeId, ...fields } = value
+
+    if (fields.code && fields.code.toUpperCase() !== coupon.code) {
+      const couponExists = await Coupon.exists({ storeId: req.store._id, code: fields.code.toUpperCase() })
+      if (couponExists) {
+        return res.status(400).json({ message: 'A coupon with this code already exists in this store' })
+      }
+    }
+
+    coupon.set(fields)
+
+    if (coupon.startsAt && coupon.endsAt && coupon.endsAt <= coupon.startsAt) {
+      return res.status(400).json({ message: 'endsAt must be after startsAt' })
+    }
+
+    if (coupon.type === 'percentage' && coupon.value > 100) {
+      return res.status(400).json({ message: 'A percentage coupon cannot be more than 100' })
+    }
+
+    await coupon.save()
+
+    res.json({
+      message: 'Coupon updated successfully',
+      data: coupon,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findOneAndDelete({ _id: req.params.id, storeId: req.store._id })
+
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' })
+    }
+
+    res.json({ message: 'Coupon deleted successfully' })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+module.exports = {
+  getCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+}
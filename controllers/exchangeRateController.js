@@ -0,0 +1,84 @@
+const ExchangeRate = require('../models/ExchangeRate')
+const { getBaseCurrency } = require('../utils/currency')
+const Joi = require('joi')
+
+// Public route, lists the currencies prices can be displayed in
+const getExchangeRates = async (req, res) => {
+  try {
+    const rates = await ExchangeRate.find().select('-updatedBy').sort({ currency: 1 }).lean()
+
+    res.json({
+      message: 'Exchange rates fetched successfully',
+      data: {
+        baseCurrency: getBaseCurrency(),
+        rates,
+      },
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+// Superadmin routes
+const upsertExchangeRate = async (req, res) => {
+  const schema = Joi.object({
+    rate: Joi.number().positive().required(),
+    rounding: Joi.object({
+      increment: Joi.number().min(0),
+      mode: Joi.string().valid('nearest', 'up', 'down'),
+    }),
+  }).options({ abortEarly: false })
+
+  const { error, value } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  const currency = req.params.currency.toUpperCase()
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    return res.status(400).json({ message: 'currency must be a 3 letter ISO 4217 code' })
+  }
+
+  if (currency === getBaseCurrency()) {
+    return res.status(400).json({ message: `${currency} is the base currency, its rate is always 1` })
+  }
+
+  try {
+    const exchangeRate = (await ExchangeRate.findOne({ currency })) || new ExchangeRate({ currency })
+    const isNew = exchangeRate.isNew
+
+    exchangeRate.rate = value.rate
+    if (value.rounding) exchangeRate.rounding = { ...exchangeRate.rounding.toObject(), ...value.rounding }
+    exchangeRate.updatedBy = req.user.id
+    await exchangeRate.save()
+
+    res.status(isNew ? 201 : 200).json({
+      message: `Exchange rate ${isNew ? 'created' : 'updated'} successfully`,
+      data: exchangeRate,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const deleteExchangeRate = async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findOneAndDelete({ currency: req.params.currency.toUpperCase() })
+
+    if (!exchangeRate) {
+      return res.status(404).json({ message: 'Exchange rate not found' })
+    }
+
+    res.json({ message: 'Exchange rate deleted successfully' })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+module.exports = {
+  getExchangeRates,
+  upsertExchangeRate,
+  deleteExchangeRate,
+}
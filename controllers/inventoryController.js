@@ -0,0 +1,101 @@
+const mongoose = require('mongoose')
+const Product = require('../models/Product')
+const InventoryMovement = require('../models/InventoryMovement')
+const { adjustStock, sendLowStockAlerts } = require('../utils/inventory')
+const Joi = require('joi')
+
+const MOVEMENT_TYPES = InventoryMovement.schema.path('type').enumValues
+
+// Manual stock change of one variant. quantity is the change for an adjustment and the counted
+// quantity for a stock take.
+const adjustProductStock = async (req, res) => {
+  const schema = Joi.object({
+    color: Joi.string().trim().required(),
+    size: Joi.string().trim().required(),
+    type: Joi.string().valid('adjustment', 'stock_take').default('adjustment'),
+    quantity: Joi.number()
+      .integer()
+      .required()
+      .when('type', { is: 'stock_take', then: Joi.number().min(0), otherwise: Joi.number().invalid(0) }),
+    reason: Joi.string().trim().min(3).max(200).required(),
+    storeId: Joi.string().trim().required(),
+  }).options({ abortEarly: false })
+
+  const { error, value } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  const session = await mongoose.startSession()
+
+  try {
+    const product = await Product.findOne({ _id: req.params.id, storeId: req.store._id }).lean()
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found in this store' })
+    }
+
+    let movement
+    await session.withTransaction(async () => {
+      movement = await adjustStock({ ...value, product, userId: req.user.id }, session)
+    })
+
+    sendLowStockAlerts([movement])
+
+    res.status(201).json({
+      message: 'Stock updated successfully',
+      data: movement,
+    })
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message })
+    }
+    res.status(500).json({ message: 'Server error', error: error.message })
+  } finally {
+    session.endSession()
+  }
+}
+
+// Stock movements of the store, newest first. Also used for one product with the :id param.
+const getStockMovements = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, type, productId, lowStock, from, to } = req.query
+    const query = { storeId: req.store._id }
+
+    if (req.params.id || productId) query.productId = req.params.id || productId
+    if (type) query.type = { $in: type.split(',').filter((t) => MOVEMENT_TYPES.includes(t)) }
+    if (lowStock === 'true') query.lowStock = true
+    if (from || to) {
+      query.createdAt = {}
+      if (from) query.createdAt.$gte = new Date(from)
+      if (to) query.createdAt.$lte = new Date(to)
+    }
+
+    const totalMovements = await InventoryMovement.countDocuments(query)
+    const movements = await InventoryMovement.find(query)
+      .populate('productId', 'name sku')
+      .populate('userId', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean()
+
+    res.json({
+      message: 'Stock movements fetched successfully',
+      data: {
+        movements,
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalMovements / limit),
+        totalMovements,
+      },
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+module.exports = {
+  adjustProductStock,
+  getStockMovements,
+}
@@ -0,0 +1,54 @@
+const Order = require('../models/Order')
+const { getInvoicePdf } = require('../utils/invoices')
+
+const sendInvoice = async (res, order) => {
+  const { invoice, pdf } = await getInvoicePdf(order)
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${invoice.invoiceNumber}.pdf"`,
+    'Content-Length': pdf.length,
+  })
+  res.send(pdf)
+}
+
+// Customer routes
+const getMyOrderInvoice = async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, userId: req.user.id }).lean()
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' })
+    }
+
+    await sendInvoice(res, order)
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message })
+    }
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+// Store routes
+const getStoreOrderInvoice = async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, storeId: req.store._id }).lean()
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found in this store' })
+    }
+
+    await sendInvoice(res, order)
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message })
+    }
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+module.exports = {
+  getMyOrderInvoice,
+  getStoreOrderInvoice,
+}
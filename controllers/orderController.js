@@ -0,0 +1,703 @@
+const mongoose = require('mongoose')
+const Order = require('../models/Order')
+const MarketplaceOrder = require('../models/MarketplaceOrder')
+const Cart = require('../models/Cart')
+const Store = require('../models/Store')
+const User = require('../models/User')
+const { priceCart } = require('../utils/cart')
+const { roundMoney } = require('../utils/money')
+const { decrementStock, restockItems, sendLowStockAlerts, assertAvailable, placeHolds, releaseHolds, consumeHolds } = require('../utils/inventory')
+const { ORDER_STATUSES, transitionOrder } = require('../utils/orderStatus')
+const { getShippingQuotes, selectShippingRate } = require('../utils/carriers')
+const { redeemCoupon, releaseCoupon } = require('../utils/coupons')
+const { calculateTax } = require('../utils/tax')
+const { refundOrderBalance } = require('../utils/payments')
+const Joi = require('joi')
+
+const generateOrderNumber = (storeId) => {
+  const storePrefix = storeId.toString().substr(-4)
+  const timePart = Date.now().toString(36)
+  const randomPart = Math.random().toString(36).substring(2, 6)
+  return `ORD-${storePrefix}-${timePart}${randomPart}`.toUpperCase()
+}
+
+// Compute order totals for a store from the priced cart lines, the coupon discount, the tax
+// worked out by utils/tax.js and the selected shipping rate. Tax is only added on top of the
+// prices when the store prices exclude tax.
+const calculateTotals = (lines, { shippingFee, discount = 0, taxes }) => {
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0))
+  const addedTax = taxes.taxMode === 'exclusive' ? taxes.tax : 0
+
+  return {
+    subtotal,
+    discount,
+    taxMode: taxes.taxMode,
+    taxRate: taxes.taxRate,
+    taxLines: taxes.taxLines,
+    tax: taxes.tax,
+    shippingFee,
+    total: roundMoney(subtotal - discount + addedTax + shippingFee),
+  }
+}
+
+// Stores may sell in different currencies, so the parent order keeps one total per currency
+const summarizeTotals = (orders) => {
+  const totalsByCurrency = new Map()
+
+  for (const order of orders) {
+    const totals = totalsByCurrency.get(order.currency) || { currency: order.currency, subtotal: 0, discount: 0, tax: 0, shippingFee: 0, total: 0 }
+    totals.subtotal = roundMoney(totals.subtotal + order.subtotal)
+    totals.discount = roundMoney(totals.discount + (order.discount || 0))
+    totals.tax = roundMoney(totals.tax + order.tax)
+    totals.shippingFee = roundMoney(totals.shippingFee + order.shippingFee)
+    totals.total = roundMoney(totals.total + order.total)
+    totalsByCurrency.set(order.currency, totals)
+  }
+
+  return [...totalsByCurrency.values()]
+}
+
+// Validate a store cart against current stock and turn it into order items and totals
+const prepareStoreOrder = async (cart, store, { shippingAddress, serviceCode }) => {
+  const pricedCart = await priceCart(cart, store)
+
+  const unavailableLine = pricedCart.items.find((line) => !line.isAvailable)
+  if (unavailableLine) {
+    const error = new Error(
+      `${unavailableLine.name || 'A product'} (${unavailableLine.color} / ${unavailableLine.size}) is no longer available in the requested quantity`
+    )
+    error.status = 409
+    throw error
+  }
+
+  if (pricedCart.couponError) {
+    const error = new Error(pricedCart.couponError)
+    error.status = 400
+    throw error
+  }
+
+  const items = pricedCart.items.map((line) => ({
+    productId: line.productId,
+    name: line.name,
+    sku: line.sku,
+    color: line.color,
+    size: line.size,
+    image: line.image,
+    unitPrice: line.unitPrice,
+    quantity: line.quantity,
+    lineTotal: line.lineTotal,
+  }))
+
+  const shippingRate = await selectShippingRate(store, shippingAddress, items, serviceCode)
+  const { coupon } = pricedCart
+  const discount = coupon ? coupon.discount : 0
+
+  const taxes = await calculateTax(items, store, { shippingAddress, discount })
+  taxes.lineTaxes.forEach((lineTax, index) => Object.assign(items[index], lineTax))
+
+  return {
+    storeId: store._id,
+    items,
+    currency: store.settings.currency,
+    shippingCarrier: shippingRate.carrier,
+    shippingService: shippingRate.serviceCode,
+    coupon: coupon ? { couponId: coupon.couponId, code: coupon.code } : undefined,
+    ...calculateTotals(items, {
+      shippingFee: coupon?.freeShipping ? 0 : shippingRate.amount,
+      discount,
+      taxes,
+    }),
+  }
+}
+
+const findShippingAddress = async (userId, addressId) => {
+  const user = await User.findById(userId)
+  if (!user) {
+    const error = new Error('User not found')
+    error.status = 404
+    throw error
+  }
+
+  const address = user.addresses.id(addressId)
+  if (!address) {
+    const error = new Error('Shipping address not found')
+    error.status = 400
+    throw error
+  }
+
+  const { _id, ...shippingAddress } = address.toObject()
+  return shippingAddress
+}
+
+// Hold the stock in the customer's store cart while they complete checkout
+const startCheckout = async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ storeId: req.store._id, userId: req.user.id })
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ message: 'Your cart is empty' })
+    }
+
+    const reservations = await placeHolds({ storeId: req.store._id, userId: req.user.id, items: cart.items })
+
+    res.status(201).json({
+      message: 'Items reserved for checkout',
+      data: {
+        reservations,
+        expiresAt: reservations[0].expiresAt,
+      },
+    })
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message })
+    }
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const cancelCheckout = async (req, res) => {
+  try {
+    await releaseHolds({ storeId: req.store._id, userId: req.user.id })
+
+    res.json({ message: 'Reserved items released' })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+// Live shipping quotes for the customer's store cart
+const getShippingRates = async (req, res) => {
+  const schema = Joi.object({
+    addressId: Joi.string().trim().length(24).required(),
+    storeId: Joi.string().trim().required(),
+  }).options({ abortEarly: false })
+
+  const { error } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  try {
+    const shippingAddress = await findShippingAddress(req.user.id, req.body.addressId)
+
+    const cart = await Cart.findOne({ storeId: req.store._id, userId: req.user.id })
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ message: 'Your cart is empty' })
+    }
+
+    const pricedCart = await priceCart(cart, req.store)
+    const rates = await getShippingQuotes(req.store, shippingAddress, pricedCart.items)
+
+    res.json({
+      message: 'Shipping rates fetched successfully',
+      data: rates,
+    })
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message })
+    }
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const checkout = async (req, res) => {
+  const schema = Joi.object({
+    addressId: Joi.string().trim().length(24).required(),
+    shippingServiceCode: Joi.string().trim(),
+    notes: Joi.string().trim().max(500).allow(''),
+    storeId: Joi.string().trim().required(),
+  }).options({ abortEarly: false })
+
+  const { error } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  const { addressId, shippingServiceCode, notes } = req.body
+  const store = req.store
+
+  const session = await mongoose.startSession()
+
+  try {
+    const shippingAddress = await findShippingAddress(req.user.id, addressId)
+
+    const cart = await Cart.findOne({ storeId: store._id, userId: req.user.id })
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ message: 'Your cart is empty' })
+    }
+
+    const storeOrder = await prepareStoreOrder(cart, store, { shippingAddress, serviceCode: shippingServiceCode })
+    await assertAvailable(storeOrder.items, req.user.id)
+
+    let order
+    let movements
+    await session.withTransaction(async () => {
+      const orderId = new mongoose.Types.ObjectId()
+      movements = await decrementStock(storeOrder.items, session, { orderId, userId: req.user.id })
+      if (storeOrder.coupon) await redeemCoupon(storeOrder.coupon.couponId, session)
+
+      const [createdOrder] = await Order.create(
+        [
+          {
+            ...storeOrder,
+            _id: orderId,
+            orderNumber: generateOrderNumber(store._id),
+            userId: req.user.id,
+            shippingAddress,
+            notes,
+          },
+        ],
+        { session }
+      )
+      order = createdOrder
+
+      await consumeHolds({ storeId: store._id, userId: req.user.id, orderId: order._id }, session)
+
+      cart.items = []
+      cart.couponCode = undefined
+      await cart.save({ session })
+    })
+
+    sendLowStockAlerts(movements)
+
+    res.status(201).json({
+      message: 'Order placed successfully',
+      data: order,
+    })
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message })
+    }
+    res.status(500).json({ message: 'Server error', error: error.message })
+  } finally {
+    session.endSession()
+  }
+}
+
+// Checkout every store cart of the customer at once. A parent marketplace order is created
+// with one child order per store, each priced with that store's own settings.
+const marketplaceCheckout = async (req, res) => {
+  const schema = Joi.object({
+    addressId: Joi.string().trim().length(24).required(),
+    storeIds: Joi.array().items(Joi.string().trim().length(24)).min(1),
+    // Selected shipping service per store, keyed by storeId
+    shippingServiceCodes: Joi.object().pattern(Joi.string().length(24), Joi.string().trim()),
+    notes: Joi.string().trim().max(500).allow(''),
+  }).options({ abortEarly: false })
+
+  const { error } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  const { addressId, storeIds, shippingServiceCodes = {}, notes } = req.body
+
+  const session = await mongoose.startSession()
+
+  try {
+    const shippingAddress = await findShippingAddress(req.user.id, addressId)
+
+    const cartQuery = { userId: req.user.id, 'items.0': { $exists: true } }
+    if (storeIds) cartQuery.storeId = { $in: storeIds }
+
+    const carts = await Cart.find(cartQuery)
+    if (carts.length === 0) {
+      return res.status(400).json({ message: 'Your cart is empty' })
+    }
+
+    const stores = await Store.find({ _id: { $in: carts.map((cart) => cart.storeId) } })
+    const storesById = new Map(stores.map((store) => [store._id.toString(), store]))
+
+    const storeOrders = []
+    for (const cart of carts) {
+      const store = storesById.get(cart.storeId.toString())
+      if (!store || !store.isActive) {
+        return res.status(409).json({ message: 'One of the stores in your cart is currently unavailable' })
+      }
+      const storeOrder = await prepareStoreOrder(cart, store, { shippingAddress, serviceCode: shippingServiceCodes[cart.storeId.toString()] })
+      await assertAvailable(storeOrder.items, req.user.id)
+      storeOrders.push(storeOrder)
+    }
+
+    let marketplaceOrder
+    const movements = []
+    await session.withTransaction(async () => {
+      const parentId = new mongoose.Types.ObjectId()
+      const orders = []
+      // withTransaction may retry the callback
+      movements.length = 0
+
+      for (const storeOrder of storeOrders) {
+        const orderId = new mongoose.Types.ObjectId()
+        movements.push(...(await decrementStock(storeOrder.items, session, { orderId, userId: req.user.id })))
+        if (storeOrder.coupon) await redeemCoupon(storeOrder.coupon.couponId, session)
+
+        const [order] = await Order.create(
+          [
+            {
+              ...storeOrder,
+              _id: orderId,
+              orderNumber: generateOrderNumber(storeOrder.storeId),
+              marketplaceOrderId: parentId,
+              userId: req.user.id,
+              shippingAddress,
+              notes,
+            },
+          ],
+          { session }
+        )
+        orders.push(order)
+
+        await consumeHolds({ storeId: storeOrder.storeId, userId: req.user.id, orderId: order._id }, session)
+      }
+
+      const [createdMarketplaceOrder] = await MarketplaceOrder.create(
+        [
+          {
+            _id: parentId,
+            orderNumber: generateOrderNumber('MKTP'),
+            userId: req.user.id,
+            orders: orders.map((order) => order._id),
+            shippingAddress,
+            totals: summarizeTotals(orders),
+          },
+        ],
+        { session }
+      )
+      marketplaceOrder = { ...createdMarketplaceOrder.toObject(), orders }
+
+      await Cart.updateMany({ _id: { $in: carts.map((cart) => cart._id) } }, { $set: { items: [], updatedAt: new Date() }, $unset: { couponCode: 1 } }, { session })
+    })
+
+    sendLowStockAlerts(movements)
+
+    res.status(201).json({
+      message: 'Order placed successfully',
+      data: marketplaceOrder,
+    })
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message })
+    }
+    res.status(500).json({ message: 'Server error', error: error.message })
+  } finally {
+    session.endSession()
+  }
+}
+
+const startMarketplaceCheckout = async (req, res) => {
+  const schema = Joi.object({
+    storeIds: Joi.array().items(Joi.string().trim().length(24)).min(1),
+  }).options({ abortEarly: false })
+
+  const { error } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  const { storeIds } = req.body
+  const placedReservations = []
+
+  try {
+    const cartQuery = { userId: req.user.id, 'items.0': { $exists: true } }
+    if (storeIds) cartQuery.storeId = { $in: storeIds }
+
+    const carts = await Cart.find(cartQuery)
+    if (carts.length === 0) {
+      return res.status(400).json({ message: 'Your cart is empty' })
+    }
+
+    for (const cart of carts) {
+      placedReservations.push(...(await placeHolds({ storeId: cart.storeId, userId: req.user.id, items: cart.items })))
+    }
+
+    res.status(201).json({
+      message: 'Items reserved for checkout',
+      data: {
+        reservations: placedReservations,
+        expiresAt: placedReservations[0].expiresAt,
+      },
+    })
+  } catch (error) {
+    // Don't keep holds on some stores when another store's items could not be reserved
+    if (placedReservations.length > 0) {
+      await releaseHolds({ _id: { $in: placedReservations.map((r) => r._id) } })
+    }
+
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message })
+    }
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const cancelMarketplaceCheckout = async (req, res) => {
+  try {
+    await releaseHolds({ userId: req.user.id })
+
+    res.json({ message: 'Reserved items released' })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const getMarketplaceOrderById = async (req, res) => {
+  try {
+    const marketplaceOrder = await MarketplaceOrder.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    })
+      .populate({ path: 'orders', populate: { path: 'storeId', select: 'name slug logo' } })
+      .lean()
+
+    if (!marketplaceOrder) {
+      return res.status(404).json({ message: 'Order not found' })
+    }
+
+    res.json({
+      message: 'Order fetched successfully',
+      data: marketplaceOrder,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+// Store staff only ever see the child orders of their own store
+const getStoreOrders = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query
+    const query = { storeId: req.store._id }
+
+    if (status) {
+      query.status = { $in: status.split(',') }
+    }
+
+    const totalOrders = await Order.countDocuments(query)
+    const orders = await Order.find(query)
+      .populate('userId', 'name email phone')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean()
+
+    res.json({
+      message: 'Orders fetched successfully',
+      data: {
+        orders,
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalOrders / limit),
+        totalOrders,
+      },
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const getStoreOrderById = async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.id,
+      storeId: req.store._id,
+    })
+      .populate('userId', 'name email phone')
+      .lean()
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found in this store' })
+    }
+
+    res.json({
+      message: 'Order fetched successfully',
+      data: order,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+// Move an order to a new status, putting the stock back when it gets cancelled. The order is
+// moved before the transaction since withTransaction may retry the callback. A paid order that
+// is cancelled or refunded gets the rest of its payment back first.
+const applyStatusChange = async (order, status, { userId, note }) => {
+  transitionOrder(order, status, { userId, note })
+
+  if (['cancelled', 'refunded'].includes(status)) {
+    await refundOrderBalance(order, `Order ${order.orderNumber} ${status}`)
+  }
+
+  const session = await mongoose.startSession()
+
+  try {
+    await session.withTransaction(async () => {
+      if (status === 'cancelled') {
+        await restockItems(order.items, session, { type: 'cancellation', orderId: order._id, userId })
+        if (order.coupon?.couponId) await releaseCoupon(order.coupon.couponId, session)
+      }
+
+      await order.save({ session })
+    })
+  } finally {
+    session.endSession()
+  }
+
+  return order
+}
+
+const updateOrderStatus = async (req, res) => {
+  const schema = Joi.object({
+    status: Joi.string()
+      .valid(...ORDER_STATUSES)
+      .required(),
+    note: Joi.string().trim().max(500).allow(''),
+    storeId: Joi.string().trim().required(),
+  }).options({ abortEarly: false })
+
+  const { error } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  const { status, note } = req.body
+
+  // Store staff can fulfil orders, only managers and admins can cancel or refund them
+  if (['cancelled', 'refunded'].includes(status) && req.storeRole === 'store_staff') {
+    return res.status(403).json({ message: 'Only store managers can cancel or refund orders' })
+  }
+
+  try {
+    const order = await Order.findOne({
+      _id: req.params.id,
+      storeId: req.store._id,
+    })
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found in this store' })
+    }
+
+    await applyStatusChange(order, status, { userId: req.user.id, note })
+
+    res.json({
+      message: `Order marked as ${status}`,
+      data: order,
+    })
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message })
+    }
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+// Customer order tracking
+const getMyOrders = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query
+    const query = { userId: req.user.id }
+
+    if (status) {
+      query.status = { $in: status.split(',') }
+    }
+
+    const totalOrders = await Order.countDocuments(query)
+    const orders = await Order.find(query)
+      .populate('storeId', 'name slug logo')
+      .select('-statusHistory.changedBy')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean()
+
+    res.json({
+      message: 'Orders fetched successfully',
+      data: {
+        orders,
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalOrders / limit),
+        totalOrders,
+      },
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const getMyOrderById = async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    })
+      .populate('storeId', 'name slug logo contact')
+      .select('-statusHistory.changedBy')
+      .lean()
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' })
+    }
+
+    res.json({
+      message: 'Order fetched successfully',
+      data: order,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+// Customers can cancel their own orders until the store confirms them
+const cancelMyOrder = async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    })
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' })
+    }
+
+    if (order.status !== 'pending') {
+      return res.status(409).json({ message: 'This order can no longer be cancelled' })
+    }
+
+    await applyStatusChange(order, 'cancelled', { userId: req.user.id, note: 'Cancelled by customer' })
+
+    res.json({
+      message: 'Order cancelled successfully',
+      data: order,
+    })
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message })
+    }
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+module.exports = {
+  getShippingRates,
+  startCheckout,
+  cancelCheckout,
+  checkout,
+  startMarketplaceCheckout,
+  cancelMarketplaceCheckout,
+  marketplaceCheckout,
+  getMarketplaceOrderById,
+  getStoreOrders,
+  getStoreOrderById,
+  updateOrderStatus,
+  getMyOrders,
+  getMyOrderById,
+  cancelMyOrder,
+}
@@ -0,0 +1,269 @@
+const Payment = require('../models/Payment')
+const PaymentEvent = require('../models/PaymentEvent')
+const Order = require('../models/Order')
+const { getPaymentProvider } = require('../utils/payments')
+const { roundMoney } = require('../utils/money')
+const { recordSale } = require('../utils/ledger')
+const Joi = require('joi')
+
+const OPEN_PAYMENT_STATUSES = ['requires_payment', 'authorized']
+
+// An open intent for exactly these orders is handed out again. Open intents that only cover
+// some of them are cancelled first, so the customer can't end up paying twice.
+const createIntentForOrders = async (orders, { userId, marketplaceOrderId }) => {
+  const provider = getPaymentProvider()
+  const amount = roundMoney(orders.reduce((sum, order) => sum + order.total, 0))
+  const currency = orders[0].currency
+  const orderIds = orders.map((order) => order._id.toString()).sort()
+
+  const openPayments = await Payment.find({ orders: { $in: orderIds }, status: { $in: OPEN_PAYMENT_STATUSES } }).select('+clientSecret')
+
+  const matching = openPayments.find(
+    (payment) =>
+      payment.provider === provider.name &&
+      payment.amount === amount &&
+      payment.currency === currency &&
+      payment.clientSecret &&
+      payment.orders.map((id) => id.toString()).sort().join(',') === orderIds.join(',')
+  )
+  if (matching) {
+    return {
+      paymentId: matching._id,
+      provider: matching.provider,
+      clientSecret: matching.clientSecret,
+      amount,
+      currency,
+    }
+  }
+
+  if (openPayments.some((payment) => payment.status === 'authorized')) {
+    const error = new Error('A payment for this order is already being processed')
+    error.status = 409
+    throw error
+  }
+
+  for (const payment of openPayments) {
+    await getPaymentProvider(payment.provider).cancelIntent(payment.providerIntentId)
+    payment.status = 'cancelled'
+    await payment.save()
+  }
+
+  const intent = await provider.createIntent({
+    amount,
+    currency,
+    reference: orders.map((order) => order.orderNumber).join(','),
+  })
+
+  const payment = await Payment.create({
+    provider: provider.name,
+    providerIntentId: intent.id,
+    clientSecret: intent.clientSecret,
+    userId,
+    orders: orders.map((order) => order._id),
+    marketplaceOrderId,
+    amount,
+    currency,
+  })
+
+  return {
+    paymentId: payment._id,
+    provider: payment.provider,
+    clientSecret: intent.clientSecret,
+    amount,
+    currency,
+  }
+}
+
+// Start paying for an order, or for all child orders of a marketplace order.
+// Marketplace orders get one payment per currency.
+const createPaymentIntent = async (req, res) => {
+  const schema = Joi.object({
+    orderId: Joi.string().trim().length(24),
+    marketplaceOrderId: Joi.string().trim().length(24),
+  })
+    .xor('orderId', 'marketplaceOrderId')
+    .options({ abortEarly: false })
+
+  const { error } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  const { orderId, marketplaceOrderId } = req.body
+
+  try {
+    const query = { userId: req.user.id }
+    if (orderId) query._id = orderId
+    if (marketplaceOrderId) query.marketplaceOrderId = marketplaceOrderId
+
+    const orders = await Order.find(query)
+    if (orders.length === 0) {
+      return res.status(404).json({ message: 'Order not found' })
+    }
+
+    const payableOrders = orders.filter((order) => ['unpaid', 'failed'].includes(order.paymentStatus) && order.status !== 'cancelled')
+    if (payableOrders.length === 0) {
+      return res.status(409).json({ message: 'This order has nothing left to pay' })
+    }
+
+    const ordersByCurrency = new Map()
+    for (const order of payableOrders) {
+      ordersByCurrency.set(order.currency, [...(ordersByCurrency.get(order.currency) || []), order])
+    }
+
+    const intents = []
+    for (const currencyOrders of ordersByCurrency.values()) {
+      intents.push(await createIntentForOrders(currencyOrders, { userId: req.user.id, marketplaceOrderId }))
+    }
+
+    res.status(201).json({
+      message: 'Payment intent created successfully',
+      data: intents,
+    })
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message })
+    }
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+// An order that was cancelled while its payment was still open has nothing to charge for, so
+// its share of the payment goes straight back to the customer
+const refundCancelledOrder = async (provider, payment, order) => {
+  const alreadyRefunded = payment.refunds.some((refund) => refund.orderId?.equals(order._id))
+  if (!alreadyRefunded) {
+    const result = await provider.refund(payment.providerIntentId, order.total)
+    payment.refunds.push({ providerRefundId: result.id, amount: order.total, orderId: order._id, reason: `Order ${order.orderNumber} cancelled` })
+    payment.refundedAmount = roundMoney(payment.refundedAmount + order.total)
+    await payment.save()
+  }
+
+  if (order.paymentStatus !== 'refunded') {
+    order.paymentStatus = 'refunded'
+    order.refundedAmount = order.total
+    await order.save()
+  }
+}
+
+const processPaymentEvent = async (provider, event) => {
+  // Events for intents that weren't created by this API are ignored
+  const payment = await Payment.findOne({ provider: provider.name, providerIntentId: event.data?.intentId })
+  if (!payment) return
+
+  switch (event.type) {
+    case 'payment_intent.authorized':
+      payment.status = 'authorized'
+      await payment.save()
+      await provider.capture(payment.providerIntentId, payment.amount)
+      break
+
+    // The payment is marked as succeeded last, so a retry after a failure part way through
+    // still gets to the orders that weren't handled yet
+    case 'payment_intent.succeeded': {
+      if (['succeeded', 'partially_refunded', 'refunded'].includes(payment.status)) break
+      const paidAt = payment.paidAt || new Date()
+
+      for (const order of await Order.find({ _id: { $in: payment.orders } })) {
+        if (order.status === 'cancelled') {
+          await refundCancelledOrder(provider, payment, order)
+          continue
+        }
+
+        if (['unpaid', 'failed'].includes(order.paymentStatus)) {
+          order.paymentStatus = 'paid'
+          order.paidAt = paidAt
+          await order.save()
+        }
+        await recordSale(order)
+      }
+
+      payment.paidAt = paidAt
+      payment.status = payment.refundedAmount >= payment.amount ? 'refunded' : payment.refundedAmount > 0 ? 'partially_refunded' : 'succeeded'
+      await payment.save()
+      break
+    }
+
+    case 'payment_intent.payment_failed':
+      if (payment.status !== 'requires_payment' && payment.status !== 'authorized') break
+      payment.status = 'failed'
+      await payment.save()
+      await Order.updateMany({ _id: { $in: payment.orders }, paymentStatus: 'unpaid' }, { $set: { paymentStatus: 'failed', updatedAt: new Date() } })
+      break
+
+    // Other event types need no action
+    default:
+      break
+  }
+}
+
+// Store the event id first so a redelivered event is skipped. If processing fails the
+// event is forgotten again, so the provider's retry gets another go.
+const recordAndProcessEvent = async (provider, event) => {
+  try {
+    await PaymentEvent.create({ provider: provider.name, eventId: event.id, type: event.type })
+  } catch (error) {
+    if (error.code === 11000) return false
+    throw error
+  }
+
+  try {
+    await processPaymentEvent(provider, event)
+  } catch (error) {
+    await PaymentEvent.deleteOne({ provider: provider.name, eventId: event.id })
+    throw error
+  }
+
+  return true
+}
+
+const handleWebhook = async (req, res) => {
+  try {
+    const provider = getPaymentProvider(req.params.provider)
+
+    const event = provider.verifyWebhook(req.rawBody, req.headers)
+    if (!event) {
+      return res.status(400).json({ message: 'Invalid webhook signature' })
+    }
+
+    const processed = await recordAndProcessEvent(provider, event)
+
+    res.json({ received: true, duplicate: !processed })
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message })
+    }
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+// Development helper: complete a payment of the fake provider without a client integration
+const confirmFakePayment = async (req, res) => {
+  try {
+    const payment = await Payment.findOne({ _id: req.params.id, userId: req.user.id, provider: 'fake' })
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' })
+    }
+
+    const provider = getPaymentProvider('fake')
+    const { payload, headers } = provider.buildWebhook('payment_intent.succeeded', { intentId: payment.providerIntentId })
+    await recordAndProcessEvent(provider, provider.verifyWebhook(Buffer.from(payload), headers))
+
+    const updatedPayment = await Payment.findById(payment._id).lean()
+
+    res.json({
+      message: 'Payment confirmed',
+      data: updatedPayment,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+module.exports = {
+  createPaymentIntent,
+  handleWebhook,
+  confirmFakePayment,
+}
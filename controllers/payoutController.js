@@ -0,0 +1,224 @@
+const mongoose = require('mongoose')
+const Payout = require('../models/Payout')
+const LedgerEntry = require('../models/LedgerEntry')
+const Counter = require('../models/Counter')
+const { getVendorBalances, recordPayout, recordPayoutSettlement } = require('../utils/ledger')
+const { roundMoney } = require('../utils/money')
+const { v4: uuidv4 } = require('uuid')
+const Joi = require('joi')
+
+// Superadmin routes
+
+// Create a payout for every store and currency with money owed up to the end of the period.
+// Everything owed before then that wasn't paid out yet is included, however old it is.
+const generatePayoutBatch = async (req, res) => {
+  const schema = Joi.object({
+    periodEnd: Joi.date().max('now').required(),
+  }).options({ abortEarly: false })
+
+  const { error, value } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  const { periodEnd } = value
+  const batchId = `PAYOUT-${periodEnd.toISOString().substring(0, 10)}-${uuidv4().substring(0, 8)}`.toUpperCase()
+
+  const session = await mongoose.startSession()
+
+  try {
+    const payouts = []
+    await session.withTransaction(async () => {
+      // withTransaction may retry the callback
+      payouts.length = 0
+
+      // Batches take turns: concurrent transactions both writing this counter conflict, and the
+      // retried one reads the balances again with the other batch's payouts subtracted
+      await Counter.findOneAndUpdate({ _id: 'payout_batch' }, { $inc: { seq: 1 } }, { upsert: true, session })
+
+      const balances = await getVendorBalances({ until: periodEnd, allPayouts: true, session })
+      const payable = balances.filter((balance) => balance.balance > 0)
+
+      for (const balance of payable) {
+        const [payout] = await Payout.create(
+          [
+            {
+              batchId,
+              storeId: balance.storeId,
+              periodEnd,
+              amount: balance.balance,
+              currency: balance.currency,
+              createdBy: req.user.id,
+            },
+          ],
+          { session }
+        )
+
+        await recordPayout(payout, session)
+        payouts.push(payout)
+      }
+    })
+
+    res.status(201).json({
+      message: `Payout batch created with ${payouts.length} payout(s)`,
+      data: { batchId, payouts },
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  } finally {
+    session.endSession()
+  }
+}
+
+const getPayouts = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, batchId, status, storeId } = req.query
+    const query = {}
+
+    if (batchId) query.batchId = batchId
+    if (status) query.status = status
+    if (storeId) query.storeId = storeId
+
+    const totalPayouts = await Payout.countDocuments(query)
+    const payouts = await Payout.find(query)
+      .populate('storeId', 'name slug')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean()
+
+    res.json({
+      message: 'Payouts fetched successfully',
+      data: {
+        payouts,
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalPayouts / limit),
+        totalPayouts,
+      },
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const markPayoutPaid = async (req, res) => {
+  const schema = Joi.object({
+    reference: Joi.string().trim().max(100).required(),
+  })
+
+  const { error } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  const session = await mongoose.startSession()
+
+  try {
+    const payout = await Payout.findById(req.params.id)
+    if (!payout) {
+      return res.status(404).json({ message: 'Payout not found' })
+    }
+
+    if (payout.status === 'paid') {
+      return res.status(409).json({ message: 'Payout has already been paid' })
+    }
+
+    payout.status = 'paid'
+    payout.reference = req.body.reference
+    payout.paidAt = new Date()
+
+    await session.withTransaction(async () => {
+      await payout.save({ session })
+      await recordPayoutSettlement(payout, session)
+    })
+
+    res.json({
+      message: 'Payout marked as paid',
+      data: payout,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  } finally {
+    session.endSession()
+  }
+}
+
+// Store admin routes
+
+const getStoreBalance = async (req, res) => {
+  try {
+    const balances = await getVendorBalances({ storeId: req.store._id })
+    const pendingPayouts = await Payout.find({ storeId: req.store._id, status: 'pending' }).lean()
+
+    res.json({
+      message: 'Store balance fetched successfully',
+      data: {
+        commissionRate: req.store.commissionRate,
+        balances: balances.map(({ currency, balance }) => ({ currency, balance })),
+        pendingPayouts,
+      },
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+// Every movement of the store's balance, with the running balance per currency
+const getStoreStatement = async (req, res) => {
+  try {
+    const { from, to } = req.query
+    const query = { storeId: req.store._id, account: 'vendor_payable' }
+
+    if (from || to) {
+      query.createdAt = {}
+      if (from) query.createdAt.$gte = new Date(from)
+      if (to) query.createdAt.$lt = new Date(to)
+    }
+
+    const openingBalances = from ? await getVendorBalances({ storeId: req.store._id, until: new Date(from) }) : []
+    const running = new Map(openingBalances.map(({ currency, balance }) => [currency, balance]))
+
+    const entries = await LedgerEntry.find(query).populate('orderId', 'orderNumber').sort({ createdAt: 1 }).lean()
+
+    const lines = entries.map((entry) => {
+      const balance = roundMoney((running.get(entry.currency) || 0) + entry.credit - entry.debit)
+      running.set(entry.currency, balance)
+
+      return {
+        _id: entry._id,
+        date: entry.createdAt,
+        type: entry.type,
+        description: entry.description,
+        order: entry.orderId,
+        payoutId: entry.payoutId,
+        currency: entry.currency,
+        credit: entry.credit,
+        debit: entry.debit,
+        balance,
+      }
+    })
+
+    res.json({
+      message: 'Store statement fetched successfully',
+      data: {
+        openingBalances: openingBalances.map(({ currency, balance }) => ({ currency, balance })),
+        closingBalances: [...running.entries()].map(([currency, balance]) => ({ currency, balance })),
+        lines,
+      },
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+module.exports = {
+  generatePayoutBatch,
+  getPayouts,
+  markPayoutPaid,
+  getStoreBalance,
+  getStoreStatement,
+}
@@ -1,67 +1,178 @@
 const Product = require('../models/Product')
 const Category = require('../models/Category')
-const { uploadToS3, deleteFromS3 } = require('../utils/s3')
+const TaxClass = require('../models/TaxClass')
+const { deleteFromS3 } = require('../utils/s3')
+const { processAndUploadImage } = require('../utils/images')
+const { attachAvailability, logProductStockChanges, saveProductColors, sendLowStockAlerts } = require('../utils/inventory')
+const { attachDisplayPrices } = require('../utils/currency')
+const { validateProductAttributes, buildAttributeFilters } = require('../utils/attributes')
+const { getPurgeDate } = require('../utils/trash')
+const { getDescendantIds, getBreadcrumbs } = require('../utils/categoryTree')
+const { findTakenVariantSku, takenVariantSkuMessage } = require('../utils/sku')
+const { PRODUCT_STATUSES, PUBLICATION_STATES, visibleProductFilter, getPublicationState, publicationStateFilter } = require('../utils/productStatus')
 const { ObjectId } = require('mongodb')
 const Joi = require('joi')
-const sharp = require('sharp')
 
 const isValidObjectId = (id) => {
   return ObjectId.isValid(id)
 }
 
-const processAndUploadImage = async (image, storeId, pathPrefix = 'products') => {
-  const thumbnailBuffer = await sharp(image.buffer)
-    .resize(400, 400, {
-      fit: 'inside',
-      withoutEnlargement: true,
+// Images in the colors JSON are either the name of an uploaded file or an already stored image
+const imageSchema = Joi.alternatives().try(
+  Joi.string().trim(),
+  Joi.object({
+    original: Joi.string().trim().required(),
+    thumbnail: Joi.string().trim().required(),
+  })
+)
+
+const colorsSchema = Joi.array()
+  .items(
+    Joi.object({
+      name: Joi.string().trim().required(),
+      image: imageSchema,
+      sizes: Joi.array()
+        .items(
+          Joi.object({
+            name: Joi.string().trim().required(),
+            quantity: Joi.number().min(0).required(),
+            sku: Joi.string().trim().max(64),
+            price: Joi.number().min(0).allow(null),
+            compareAtPrice: Joi.number().min(0).allow(null),
+            barcode: Joi.string().trim().max(64).allow(''),
+            weight: Joi.number().min(0),
+            images: Joi.array().items(imageSchema),
+          })
+        )
+        .required(),
     })
-    .toBuffer()
+  )
+  .required()
 
-  const sanitizedOriginalName = image.originalname.replace(/\s+/g, '')
+// Upload the color and variant images referenced by file name in the colors JSON
+const processColorImages = async (colors, files = [], storeId) => {
+  const processImage = async (image, pathPrefix) => {
+    if (typeof image !== 'string') return image
 
-  const originalImageUrl = await uploadToS3(image, `${pathPrefix}/${storeId}/original/${Date.now()}_${sanitizedOriginalName}`)
+    const file = files.find((f) => f.originalname === image)
+    return file ? processAndUploadImage(file, storeId, pathPrefix) : null
+  }
 
-  const thumbnailImageUrl = await uploadToS3({ ...image, buffer: thumbnailBuffer }, `${pathPrefix}/${storeId}/thumbnails/${Date.now()}_thumb_${sanitizedOriginalName}`)
+  return Promise.all(
+    colors.map(async (color) => ({
+      ...color,
+      image: color.image ? (await processImage(color.image, 'products/colors')) || undefined : undefined,
+      sizes: await Promise.all(
+        color.sizes.map(async (size) => ({
+          ...size,
+          images: (await Promise.all((size.images || []).map((image) => processImage(image, 'products/variants')))).filter(Boolean),
+        }))
+      ),
+    }))
+  )
+}
 
-  return {
-    original: originalImageUrl,
-    thumbnail: thumbnailImageUrl,
+// Product attributes are sent as a JSON object of key and value, e.g. {"spice_level":"hot"}
+const parseAttributes = (attributes) => {
+  try {
+    const parsedAttributes = JSON.parse(attributes)
+    if (parsedAttributes && typeof parsedAttributes === 'object' && !Array.isArray(parsedAttributes)) return parsedAttributes
+  } catch (err) {
+    // Falls through to the error below
   }
+
+  const error = new Error('Invalid attributes data')
+  error.status = 400
+  throw error
 }
 
-const getProducts = async (req, res) => {
-  try {
-    const { categories, colors, sizes, page = 1, limit = 10, search = '' } = req.query
-    const storeId = req.store._id
-    const query = { storeId }
+// Sort orders accepted by the sort query parameter of the product listings. position is the
+// manual order within a category, see getProductSort.
+const PRODUCT_SORTS = {
+  position: null,
+  newest: { createdAt: -1 },
+  price: { price: 1, createdAt: -1 },
+  name: { name: 1 },
+  featured: { featured: -1, createdAt: -1 },
+  rating: { ratingAverage: -1, ratingCount: -1, createdAt: -1 },
+}
 
-    if (categories) {
-      const storeCategories = await Category.find({
-        _id: { $in: categories.split(',') },
-        storeId,
-      }).select('_id')
+// sort=position needs exactly one category to order by. Products added to the category after
+// its last reorder have no position yet and come first, newest first.
+const getProductSort = (sort, categories) => {
+  let message = null
+  if (!Object.keys(PRODUCT_SORTS).includes(sort)) {
+    message = `sort must be one of ${Object.keys(PRODUCT_SORTS).join(', ')}`
+  } else if (sort === 'position' && !isValidObjectId(categories)) {
+    message = 'sort=position needs a single category in categories'
+  }
 
-      query.categories = {
-        $in: storeCategories.map((cat) => cat._id),
-      }
-    }
+  if (message) {
+    const error = new Error(message)
+    error.status = 400
+    throw error
+  }
 
-    if (colors) {
-      query['colors.name'] = { $in: colors.split(',') }
-    }
-    if (sizes) {
-      query['colors.sizes.name'] = { $in: sizes.split(',') }
-    }
+  return sort === 'position' ? { [`categoryPositions.${categories}`]: 1, createdAt: -1 } : PRODUCT_SORTS[sort]
+}
+
+// Filters shared by the public and the staff product listings
+const buildProductQuery = async ({ categories, includeDescendants, colors, sizes, rating, attr, search = '' }, storeId) => {
+  const query = { storeId }
+
+  // With includeDescendants=true products in any subcategory below match too
+  if (categories) {
+    const storeCategories = await Category.find({
+      _id: { $in: categories.split(',') },
+      storeId,
+    }).select('_id')
+    const categoryIds = storeCategories.map((cat) => cat._id)
 
-    if (search) {
-      const searchRegex = new RegExp(search, 'i')
-      query.$or = [{ name: searchRegex }, { description: searchRegex }, { sku: searchRegex }]
+    query.categories = {
+      $in: includeDescendants === 'true' ? await getDescendantIds(categoryIds, storeId) : categoryIds,
     }
+  }
+
+  if (colors) {
+    query['colors.name'] = { $in: colors.split(',') }
+  }
+  if (sizes) {
+    query['colors.sizes.name'] = { $in: sizes.split(',') }
+  }
+
+  // Category attributes, e.g. attr[spice_level]=hot,medium&attr[vegetarian]=true
+  const attributeFilters = buildAttributeFilters(attr)
+  if (attributeFilters.length > 0) {
+    query.$and = attributeFilters
+  }
+
+  // Minimum average rating, e.g. rating=4 for 4 stars and up
+  if (rating) {
+    query.ratingAverage = { $gte: Number(rating) || 0 }
+  }
+
+  if (search) {
+    const searchRegex = new RegExp(search, 'i')
+    query.$or = [{ name: searchRegex }, { description: searchRegex }, { sku: searchRegex }]
+  }
+
+  return query
+}
+
+// Only the products customers can see right now, see utils/productStatus.js
+const getProducts = async (req, res) => {
+  try {
+    const { currency, sort = 'newest', page = 1, limit = 10 } = req.query
+    const productSort = getProductSort(sort, req.query.categories)
+
+    const query = { ...(await buildProductQuery(req.query, req.store._id)), ...visibleProductFilter() }
 
     const skip = (page - 1) * limit
     const totalProducts = await Product.countDocuments(query)
 
-    const products = await Product.find(query).populate('categories', 'name _id').sort({ createdAt: -1 }).skip(skip).limit(limit).lean()
+    const products = await Product.find(query).populate('categories', 'name _id').sort(productSort).skip(skip).limit(limit).lean()
+    await attachAvailability(products)
+    if (currency) await attachDisplayPrices(products, req.store, currency)
 
     const response = {
       data: {
@@ -75,6 +186,53 @@ const getProducts = async (req, res) => {
 
     res.json(response)
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message })
+    }
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+// Products in every state for the store staff. status takes a comma separated list of
+// draft, published, archived, scheduled and expired.
+const getStoreProducts = async (req, res) => {
+  try {
+    const { status, sort = 'newest', page = 1, limit = 10 } = req.query
+    const productSort = getProductSort(sort, req.query.categories)
+
+    const query = await buildProductQuery(req.query, req.store._id)
+
+    if (status) {
+      const states = status.split(',')
+      const invalidState = states.find((state) => !PUBLICATION_STATES.includes(state))
+      if (invalidState) {
+        return res.status(400).json({ message: `status must be one of ${PUBLICATION_STATES.join(', ')}` })
+      }
+
+      const now = new Date()
+      query.$and = [...(query.$and || []), { $or: states.map((state) => publicationStateFilter(state, now)) }]
+    }
+
+    const skip = (page - 1) * limit
+    const totalProducts = await Product.countDocuments(query)
+
+    const products = await Product.find(query).populate('categories', 'name _id').sort(productSort).skip(skip).limit(limit).lean()
+    await attachAvailability(products)
+    products.forEach((product) => (product.publicationState = getPublicationState(product)))
+
+    res.json({
+      data: {
+        products,
+        totalPages: Math.ceil(totalProducts / limit),
+        currentPage: parseInt(page),
+        totalProducts,
+      },
+      message: `Products successfully fetched. Showing page ${page} of ${Math.ceil(totalProducts / limit)} pages.`,
+    })
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message })
+    }
     res.status(500).json({ message: 'Server error', error: error.message })
   }
 }
@@ -85,6 +243,7 @@ const getProductById = async (req, res) => {
     const product = await Product.findOne({
       _id: req.params.id,
       storeId,
+      ...visibleProductFilter(),
     })
       .populate('categories', 'name _id')
       .lean()
@@ -93,15 +252,55 @@ const getProductById = async (req, res) => {
       return res.status(404).json({ message: 'Product not found in this store' })
     }
 
+    await attachAvailability(product)
+    if (req.query.currency) await attachDisplayPrices(product, req.store, req.query.currency)
+
+    // Path to the product's first category, e.g. Food > Pizza > Vegan
+    product.breadcrumbs = product.categories.length > 0 ? await getBreadcrumbs(product.categories[0]._id, storeId) : []
+
     res.json({
       data: product,
       message: 'Product was successfully fetched',
     })
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message })
+    }
     res.status(500).json({ message: 'Server error', error: error.message })
   }
 }
 
+// A product in any state, for the store staff
+const getStoreProductById = async (req, res) => {
+  try {
+    const product = await Product.findOne({
+      _id: req.params.id,
+      storeId: req.store._id,
+    })
+      .populate('categories', 'name _id')
+      .lean()
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found in this store' })
+    }
+
+    await attachAvailability(product)
+    product.publicationState = getPublicationState(product)
+
+    res.json({
+      data: product,
+      message: 'Product was successfully fetched',
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+// unpublishAt has to come after publishAt when both are set
+const publishingWindowError = (publishAt, unpublishAt) => {
+  return publishAt && unpublishAt && unpublishAt <= publishAt ? 'unpublishAt must be after publishAt' : null
+}
+
 const createProduct = async (req, res) => {
   const schema = Joi.object({
     name: Joi.string().trim().min(3).max(100).required(),
@@ -110,19 +309,32 @@ const createProduct = async (req, res) => {
     featured: Joi.boolean(),
     categories: Joi.string().trim().required(),
     colors: Joi.string().trim().required(),
+    attributes: Joi.string().trim(),
+    taxClassId: Joi.string().trim().length(24).allow(''),
+    lowStockThreshold: Joi.number().integer().min(0),
+    status: Joi.string().valid(...PRODUCT_STATUSES),
+    publishAt: Joi.date().allow('', null),
+    unpublishAt: Joi.date().allow('', null),
     storeId: Joi.string().trim().required(),
   }).options({ abortEarly: false })
 
-  const { error } = schema.validate(req.body)
+  const { error, value } = schema.validate(req.body)
   if (error) {
     return res.status(400).json({
       message: error.details.map((err) => err.message).join(', '),
     })
   }
 
-  const { name, description, price, featured, categories, colors } = req.body
+  const { name, description, price, featured, categories, colors, taxClassId, lowStockThreshold, status } = req.body
+  const publishAt = value.publishAt || null
+  const unpublishAt = value.unpublishAt || null
   const storeId = req.store._id
 
+  const windowError = publishingWindowError(publishAt, unpublishAt)
+  if (windowError) {
+    return res.status(400).json({ message: windowError })
+  }
+
   let parsedColors
   try {
     parsedColors = JSON.parse(colors)
@@ -130,23 +342,6 @@ const createProduct = async (req, res) => {
     return res.status(400).json({ message: 'Invalid colors data' })
   }
 
-  const colorsSchema = Joi.array()
-    .items(
-      Joi.object({
-        name: Joi.string().trim().required(),
-        image: Joi.string().trim(),
-        sizes: Joi.array()
-          .items(
-            Joi.object({
-              name: Joi.string().trim().required(),
-              quantity: Joi.number().min(0).required(),
-            })
-          )
-          .required(),
-      })
-    )
-    .required()
-
   const { error: colorsError } = colorsSchema.validate(parsedColors)
   if (colorsError) {
     return res.status(400).json({
@@ -171,6 +366,17 @@ const createProduct = async (req, res) => {
       })
     }
 
+    if (taxClassId && !(await TaxClass.exists({ _id: taxClassId, storeId }))) {
+      return res.status(400).json({ message: 'Tax class not found in this store' })
+    }
+
+    const attributes = await validateProductAttributes(req.body.attributes ? parseAttributes(req.body.attributes) : {}, categoryIds, storeId)
+
+    const takenSku = await findTakenVariantSku(parsedColors, storeId)
+    if (takenSku) {
+      return res.status(400).json({ message: takenVariantSkuMessage(takenSku) })
+    }
+
     function generateSKU(storeId) {
       const prefix = 'LABEL-'
       const storePrefix = storeId.toString().substr(-4)
@@ -188,21 +394,7 @@ const createProduct = async (req, res) => {
       }
     }
 
-    const processedColors = await Promise.all(
-      parsedColors.map(async (color) => {
-        if (color.image) {
-          const image = req.files.find((f) => f.originalname === color.image)
-          if (image) {
-            const processedImage = await processAndUploadImage(image, storeId, `products/colors`)
-            return {
-              ...color,
-              image: processedImage,
-            }
-          }
-        }
-        return color
-      })
-    )
+    const processedColors = await processColorImages(parsedColors, req.files, storeId)
 
     const product = await Product.create({
       name,
@@ -213,9 +405,17 @@ const createProduct = async (req, res) => {
       sku,
       images: productImages,
       colors: processedColors,
+      attributes,
+      taxClassId: taxClassId || null,
+      lowStockThreshold,
+      status,
+      publishAt,
+      unpublishAt,
       storeId,
     })
 
+    await logProductStockChanges([], product, { reason: 'Initial stock', userId: req.user.id })
+
     const createdProduct = await Product.findById(product._id).populate('categories', 'name _id').lean()
 
     res.status(201).json({
@@ -223,6 +423,12 @@ const createProduct = async (req, res) => {
       data: createdProduct,
     })
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message })
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A SKU of this product is already used in this store' })
+    }
     res.status(500).json({ message: 'Server error', error: error.message })
   }
 }
@@ -235,17 +441,26 @@ const updateProduct = async (req, res) => {
     featured: Joi.boolean(),
     categories: Joi.string().trim(),
     colors: Joi.string().trim(),
+    attributes: Joi.string().trim(),
+    taxClassId: Joi.string().trim().length(24).allow(''),
+    lowStockThreshold: Joi.number().integer().min(0),
+    status: Joi.string().valid(...PRODUCT_STATUSES),
+    // An empty value removes the date
+    publishAt: Joi.date().allow('', null),
+    unpublishAt: Joi.date().allow('', null),
+    // Recorded on the inventory movements when the colors change stock
+    stockReason: Joi.string().trim().max(200),
     storeId: Joi.string().trim().optional()
   }).options({ abortEarly: false })
 
-  const { error } = schema.validate(req.body)
+  const { error, value } = schema.validate(req.body)
   if (error) {
     return res.status(400).json({
       message: error.details.map((err) => err.message).join(', '),
     })
   }
 
-  const { name, description, price, featured, categories, colors } = req.body
+  const { name, description, price, featured, categories, colors, taxClassId, lowStockThreshold, stockReason, status } = req.body
   const storeId = req.store._id
 
   let parsedColors
@@ -255,6 +470,13 @@ const updateProduct = async (req, res) => {
     } catch (err) {
       return res.status(400).json({ message: 'Invalid colors data' })
     }
+
+    const { error: colorsError } = colorsSchema.validate(parsedColors)
+    if (colorsError) {
+      return res.status(400).json({
+        message: colorsError.details.map((err) => err.message).join(', '),
+      })
+    }
   }
 
   try {
@@ -271,6 +493,23 @@ const updateProduct = async (req, res) => {
     if (description) product.description = description
     if (price) product.price = price
     if (featured !== undefined) product.featured = featured
+    if (lowStockThreshold !== undefined) product.lowStockThreshold = lowStockThreshold
+    if (status) product.status = status
+    if (value.publishAt !== undefined) product.publishAt = value.publishAt || null
+    if (value.unpublishAt !== undefined) product.unpublishAt = value.unpublishAt || null
+
+    const windowError = publishingWindowError(product.publishAt, product.unpublishAt)
+    if (windowError) {
+      return res.status(400).json({ message: windowError })
+    }
+
+    // An empty value falls back to the tax class of the product's categories
+    if (taxClassId !== undefined) {
+      if (taxClassId && !(await TaxClass.exists({ _id: taxClassId, storeId }))) {
+        return res.status(400).json({ message: 'Tax class not found in this store' })
+      }
+      product.taxClassId = taxClassId || null
+    }
 
     if (categories) {
       const categoryIds = categories
@@ -292,8 +531,24 @@ const updateProduct = async (req, res) => {
       product.categories = categoryIds
     }
 
+    // Attributes are checked again when the categories change, their definitions may differ
+    if (req.body.attributes || categories) {
+      const attributes = req.body.attributes
+        ? parseAttributes(req.body.attributes)
+        : Object.fromEntries(product.attributes.map((attribute) => [attribute.key, attribute.value]))
+
+      product.attributes = await validateProductAttributes(attributes, product.categories, storeId)
+    }
+
+    const previousColors = product.colors.toObject()
+
     if (parsedColors) {
-      product.colors = parsedColors
+      const takenSku = await findTakenVariantSku(parsedColors, storeId, product._id)
+      if (takenSku) {
+        return res.status(400).json({ message: takenVariantSkuMessage(takenSku) })
+      }
+
+      product.colors = await processColorImages(parsedColors, req.files, storeId)
     }
 
     if (req.files && req.files.length > 0) {
@@ -303,7 +558,12 @@ const updateProduct = async (req, res) => {
       }
     }
 
-    await product.save()
+    if (parsedColors) {
+      const movements = await saveProductColors(product, previousColors, { reason: stockReason || 'Product updated', userId: req.user.id })
+      sendLowStockAlerts(movements)
+    } else {
+      await product.save()
+    }
 
     const updatedProduct = await Product.findById(product._id).populate('categories', 'name _id').lean()
 
@@ -312,65 +572,35 @@ const updateProduct = async (req, res) => {
       message: 'Product updated successfully',
     })
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message })
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A SKU of this product is already used in this store' })
+    }
     res.status(500).json({ message: 'Server error', error: error.message })
   }
 }
 
+// Moves the product to the store's trash. It can be restored until it is purged together with
+// its images, see utils/trash.js.
 const deleteProduct = async (req, res) => {
   try {
-    const storeId = req.store._id
     const product = await Product.findOne({
       _id: req.params.id,
-      storeId,
+      storeId: req.store._id,
     })
 
     if (!product) {
       return res.status(404).json({ message: 'Product not found in this store' })
     }
 
-    let imagesDeletedSuccessfully = true
-    const failedImageDeletions = []
-
-    for (const imageObj of product.images) {
-      try {
-        if (imageObj.original) {
-          await deleteFromS3(imageObj.original.split('/').pop())
-        }
-        if (imageObj.thumbnail) {
-          await deleteFromS3(imageObj.thumbnail.split('/').pop())
-        }
-      } catch (error) {
-        imagesDeletedSuccessfully = false
-        failedImageDeletions.push(imageObj)
-      }
-    }
+    await product.softDelete(req.user.id)
 
-    for (const color of product.colors) {
-      if (color.image) {
-        try {
-          if (color.image.original) {
-            await deleteFromS3(color.image.original.split('/').pop())
-          }
-          if (color.image.thumbnail) {
-            await deleteFromS3(color.image.thumbnail.split('/').pop())
-          }
-        } catch (error) {
-          imagesDeletedSuccessfully = false
-          failedImageDeletions.push(color.image)
-        }
-      }
-    }
-
-    await Product.deleteOne({ _id: req.params.id })
-
-    if (imagesDeletedSuccessfully) {
-      res.json({ message: 'Product and all associated images deleted successfully' })
-    } else {
-      res.json({
-        message: 'Product deleted successfully, but some images could not be deleted',
-        failedImageDeletions,
-      })
-    }
+    res.json({
+      message: 'Product moved to trash',
+      data: { _id: product._id, deletedAt: product.deletedAt, purgeAt: getPurgeDate(product.deletedAt) },
+    })
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message })
   }
@@ -434,7 +664,9 @@ const deleteProductImage = async (req, res) => {
 
 module.exports = {
   getProducts,
+  getStoreProducts,
   getProductById,
+  getStoreProductById,
   createProduct,
   updateProduct,
   deleteProduct,
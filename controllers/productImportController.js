@@ -0,0 +1,137 @@
+const path = require('path')
+const mongoose = require('mongoose')
+const ImportJob = require('../models/ImportJob')
+const { uploadToS3 } = require('../utils/s3')
+const { IMPORT_FORMATS, processImportJobs, writeProductExport } = require('../utils/productImport')
+const Joi = require('joi')
+
+const FORMATS_BY_EXTENSION = {
+  '.csv': 'csv',
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl',
+}
+
+// Upload a CSV or JSON Lines file of products. The products are created or updated by SKU in the
+// background, the returned job shows the progress and the products that failed.
+const createImportJob = async (req, res) => {
+  const schema = Joi.object({
+    format: Joi.string().valid(...IMPORT_FORMATS),
+    storeId: Joi.string().trim().required(),
+  }).options({ abortEarly: false })
+
+  const { error, value } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  if (!req.file) {
+    return res.status(400).json({ message: 'An import file is required' })
+  }
+
+  const format = value.format || FORMATS_BY_EXTENSION[path.extname(req.file.originalname).toLowerCase()]
+  if (!format) {
+    return res.status(400).json({ message: `Unknown file type, format must be one of ${IMPORT_FORMATS.join(', ')}` })
+  }
+
+  try {
+    const jobId = new mongoose.Types.ObjectId()
+    const fileKey = `imports/${req.store._id}/${jobId}.${format}`
+
+    await uploadToS3(req.file, fileKey)
+
+    const job = await ImportJob.create({
+      _id: jobId,
+      storeId: req.store._id,
+      userId: req.user.id,
+      format,
+      fileName: req.file.originalname,
+      fileKey,
+    })
+
+    processImportJobs()
+
+    res.status(202).json({
+      message: 'Import started',
+      data: job,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const getImportJobs = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query
+    const query = { storeId: req.store._id }
+
+    if (status) query.status = { $in: status.split(',') }
+
+    const totalJobs = await ImportJob.countDocuments(query)
+    const jobs = await ImportJob.find(query)
+      .select('-rowErrors')
+      .populate('userId', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean()
+
+    res.json({
+      message: 'Import jobs fetched successfully',
+      data: {
+        jobs,
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalJobs / limit),
+        totalJobs,
+      },
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const getImportJob = async (req, res) => {
+  try {
+    const job = await ImportJob.findOne({ _id: req.params.jobId, storeId: req.store._id }).populate('userId', 'name email').lean()
+
+    if (!job) {
+      return res.status(404).json({ message: 'Import job not found in this store' })
+    }
+
+    res.json({
+      message: 'Import job fetched successfully',
+      data: job,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+// The whole catalog of the store in the import format, CSV by default
+const exportProducts = async (req, res) => {
+  const format = req.query.format || 'csv'
+  if (!IMPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ message: `format must be one of ${IMPORT_FORMATS.join(', ')}` })
+  }
+
+  try {
+    res.set({
+      'Content-Type': format === 'csv' ? 'text/csv' : 'application/x-ndjson',
+      'Content-Disposition': `attachment; filename="products-${req.store._id}.${format}"`,
+    })
+
+    await writeProductExport(req.store._id, format, res)
+  } catch (error) {
+    // Part of the file may already be sent
+    if (res.headersSent) return res.end()
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+module.exports = {
+  createImportJob,
+  getImportJobs,
+  getImportJob,
+  exportProducts,
+}
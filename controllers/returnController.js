@@ -0,0 +1,433 @@
+const mongoose = require('mongoose')
+const ReturnRequest = require('../models/ReturnRequest')
+const Order = require('../models/Order')
+const { restockItems } = require('../utils/inventory')
+const { transitionOrder } = require('../utils/orderStatus')
+const { refundOrderPayment } = require('../utils/payments')
+const { roundMoney } = require('../utils/money')
+const { recordRefund } = require('../utils/ledger')
+const Joi = require('joi')
+
+const generateRmaNumber = (storeId) => {
+  const storePrefix = storeId.toString().substr(-4)
+  const timePart = Date.now().toString(36)
+  const randomPart = Math.random().toString(36).substring(2, 6)
+  return `RMA-${storePrefix}-${timePart}${randomPart}`.toUpperCase()
+}
+
+const setReturnStatus = (returnRequest, status, { userId, note } = {}) => {
+  returnRequest.status = status
+  returnRequest.history.push({ status, changedBy: userId, note, changedAt: new Date() })
+}
+
+const findStoreReturn = (req) => {
+  return ReturnRequest.findOne({ _id: req.params.id, storeId: req.store._id })
+}
+
+// Largest refund allowed for a return. The coupon discount is refunded in the same proportion it
+// was applied to the order and tax as charged on each returned line, shipping only when asked for
+// and only once per order. The subtotal is always net of tax, also for tax-inclusive orders.
+// Only the units the store received are refunded, not everything the customer asked to return.
+const calculateRefund = async (returnRequest, order, includeShipping) => {
+  const itemsTotal = roundMoney(returnRequest.items.reduce((sum, item) => sum + item.unitPrice * item.receivedQuantity, 0))
+  const share = order.subtotal > 0 ? itemsTotal / order.subtotal : 0
+
+  // Orders placed before tax classes only have the order level tax
+  const tax =
+    order.taxLines.length > 0
+      ? roundMoney(
+          returnRequest.items.reduce((sum, item) => {
+            const orderItem = order.items.id(item.orderItemId)
+            return sum + (orderItem ? (orderItem.tax * item.receivedQuantity) / orderItem.quantity : 0)
+          }, 0)
+        )
+      : roundMoney(order.tax * share)
+
+  const discounted = itemsTotal - (order.discount || 0) * share
+  const subtotal = roundMoney(order.taxMode === 'inclusive' ? discounted - tax : discounted)
+
+  let shipping = 0
+  if (includeShipping) {
+    const shippingAlreadyRefunded = await ReturnRequest.exists({
+      orderId: order._id,
+      _id: { $ne: returnRequest._id },
+      'refund.shipping': { $gt: 0 },
+    })
+    shipping = shippingAlreadyRefunded ? 0 : order.shippingFee
+  }
+
+  return {
+    subtotal,
+    tax,
+    shipping,
+    total: roundMoney(subtotal + tax + shipping),
+  }
+}
+
+// Customer routes
+const createReturnRequest = async (req, res) => {
+  const schema = Joi.object({
+    items: Joi.array()
+      .items(
+        Joi.object({
+          orderItemId: Joi.string().trim().length(24).required(),
+          quantity: Joi.number().integer().min(1).required(),
+        })
+      )
+      .min(1)
+      .required(),
+    reason: Joi.string().trim().min(3).max(500).required(),
+  }).options({ abortEarly: false })
+
+  const { error } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  const { items, reason } = req.body
+
+  try {
+    const order = await Order.findOne({ _id: req.params.id, userId: req.user.id })
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' })
+    }
+
+    if (order.status !== 'delivered') {
+      return res.status(409).json({ message: 'Only delivered orders can be returned' })
+    }
+
+    // Quantities already part of another open or completed return
+    const existingReturns = await ReturnRequest.find({ orderId: order._id, status: { $ne: 'rejected' } }).lean()
+    const returned = new Map()
+    for (const existingReturn of existingReturns) {
+      for (const item of existingReturn.items) {
+        const key = item.orderItemId.toString()
+        returned.set(key, (returned.get(key) || 0) + item.quantity)
+      }
+    }
+
+    const returnItems = []
+    for (const requested of items) {
+      const orderItem = order.items.id(requested.orderItemId)
+      if (!orderItem) {
+        return res.status(400).json({ message: `Order item ${requested.orderItemId} not found` })
+      }
+
+      const returnable = orderItem.quantity - (returned.get(orderItem._id.toString()) || 0)
+      if (requested.quantity > returnable) {
+        return res.status(400).json({ message: `Only ${returnable} of ${orderItem.name} can be returned` })
+      }
+
+      returnItems.push({
+        orderItemId: orderItem._id,
+        productId: orderItem.productId,
+        name: orderItem.name,
+        sku: orderItem.sku,
+        color: orderItem.color,
+        size: orderItem.size,
+        unitPrice: orderItem.unitPrice,
+        quantity: requested.quantity,
+      })
+    }
+
+    const returnRequest = new ReturnRequest({
+      rmaNumber: generateRmaNumber(order.storeId),
+      orderId: order._id,
+      storeId: order.storeId,
+      userId: req.user.id,
+      items: returnItems,
+      reason,
+    })
+    setReturnStatus(returnRequest, 'requested', { userId: req.user.id })
+    await returnRequest.save()
+
+    res.status(201).json({
+      message: 'Return requested successfully',
+      data: returnRequest,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const getMyReturns = async (req, res) => {
+  try {
+    const returns = await ReturnRequest.find({ userId: req.user.id }).select('-history.changedBy').sort({ createdAt: -1 }).lean()
+
+    res.json({
+      message: 'Returns fetched successfully',
+      data: returns,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+// Store routes
+const getStoreReturns = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query
+    const query = { storeId: req.store._id }
+
+    if (status) {
+      query.status = { $in: status.split(',') }
+    }
+
+    const totalReturns = await ReturnRequest.countDocuments(query)
+    const returns = await ReturnRequest.find(query)
+      .populate('userId', 'name email phone')
+      .populate('orderId', 'orderNumber total currency')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean()
+
+    res.json({
+      message: 'Returns fetched successfully',
+      data: {
+        returns,
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalReturns / limit),
+        totalReturns,
+      },
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const getStoreReturnById = async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findOne({ _id: req.params.id, storeId: req.store._id })
+      .populate('userId', 'name email phone')
+      .populate('orderId')
+      .lean()
+
+    if (!returnRequest) {
+      return res.status(404).json({ message: 'Return not found in this store' })
+    }
+
+    res.json({
+      message: 'Return fetched successfully',
+      data: returnRequest,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const reviewReturn = (decision) => async (req, res) => {
+  const schema = Joi.object({
+    note: Joi.string().trim().max(500).allow(''),
+    storeId: Joi.string().trim().required(),
+  }).options({ abortEarly: false })
+
+  const { error } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  try {
+    const returnRequest = await findStoreReturn(req)
+    if (!returnRequest) {
+      return res.status(404).json({ message: 'Return not found in this store' })
+    }
+
+    if (returnRequest.status !== 'requested') {
+      return res.status(409).json({ message: `This return has already been ${returnRequest.status}` })
+    }
+
+    setReturnStatus(returnRequest, decision, { userId: req.user.id, note: req.body.note })
+    await returnRequest.save()
+
+    res.json({
+      message: `Return ${decision} successfully`,
+      data: returnRequest,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+// Goods arrived back at the store. Sellable items are put back into stock.
+const receiveReturn = async (req, res) => {
+  const schema = Joi.object({
+    // JSON array of { orderItemId, receivedQuantity, restock }, defaults to everything received and restocked
+    items: Joi.string().trim(),
+    note: Joi.string().trim().max(500).allow(''),
+    storeId: Joi.string().trim().required(),
+  }).options({ abortEarly: false })
+
+  const { error } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  let receivedItems
+  if (req.body.items) {
+    try {
+      receivedItems = JSON.parse(req.body.items)
+    } catch (err) {
+      return res.status(400).json({ message: 'Invalid items data' })
+    }
+
+    const itemsSchema = Joi.array().items(
+      Joi.object({
+        orderItemId: Joi.string().trim().length(24).required(),
+        receivedQuantity: Joi.number().integer().min(0).required(),
+        restock: Joi.boolean().default(true),
+      })
+    )
+
+    const { error: itemsError } = itemsSchema.validate(receivedItems)
+    if (itemsError) {
+      return res.status(400).json({
+        message: itemsError.details.map((err) => err.message).join(', '),
+      })
+    }
+  }
+
+  const session = await mongoose.startSession()
+
+  try {
+    const returnRequest = await findStoreReturn(req)
+    if (!returnRequest) {
+      return res.status(404).json({ message: 'Return not found in this store' })
+    }
+
+    if (returnRequest.status !== 'approved') {
+      return res.status(409).json({ message: 'Only approved returns can be received' })
+    }
+
+    const toRestock = []
+    for (const item of returnRequest.items) {
+      const received = receivedItems ? receivedItems.find((r) => r.orderItemId === item.orderItemId.toString()) : null
+      const receivedQuantity = received ? Math.min(received.receivedQuantity, item.quantity) : item.quantity
+      const restock = received ? received.restock !== false : true
+
+      item.receivedQuantity = receivedQuantity
+      item.restockedQuantity = restock ? receivedQuantity : 0
+
+      if (item.restockedQuantity > 0) {
+        toRestock.push({ productId: item.productId, color: item.color, size: item.size, quantity: item.restockedQuantity })
+      }
+    }
+
+    setReturnStatus(returnRequest, 'received', { userId: req.user.id, note: req.body.note })
+
+    await session.withTransaction(async () => {
+      await restockItems(toRestock, session, { type: 'return', orderId: returnRequest.orderId, returnId: returnRequest._id, userId: req.user.id })
+      await returnRequest.save({ session })
+    })
+
+    res.json({
+      message: 'Return received successfully',
+      data: returnRequest,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  } finally {
+    session.endSession()
+  }
+}
+
+// Refund a received return in full, or partially with an explicit amount
+const refundReturn = async (req, res) => {
+  const schema = Joi.object({
+    includeShipping: Joi.boolean().default(false),
+    amount: Joi.number().positive(),
+    note: Joi.string().trim().max(500).allow(''),
+    storeId: Joi.string().trim().required(),
+  }).options({ abortEarly: false })
+
+  const { error, value } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  const { includeShipping, amount, note } = value
+
+  try {
+    const returnRequest = await findStoreReturn(req)
+    if (!returnRequest) {
+      return res.status(404).json({ message: 'Return not found in this store' })
+    }
+
+    if (returnRequest.status !== 'received') {
+      return res.status(409).json({ message: 'Only received returns can be refunded' })
+    }
+
+    const order = await Order.findById(returnRequest.orderId)
+    const maximum = await calculateRefund(returnRequest, order, includeShipping)
+
+    if (amount && amount > maximum.total) {
+      return res.status(400).json({ message: `Refund cannot be more than ${maximum.total} ${order.currency}` })
+    }
+
+    // Partial refunds are split over items, tax and shipping in the same proportions as the full refund
+    const ratio = amount ? amount / maximum.total : 1
+    const refund = {
+      subtotal: roundMoney(maximum.subtotal * ratio),
+      tax: roundMoney(maximum.tax * ratio),
+      shipping: roundMoney(maximum.shipping * ratio),
+      total: amount ? roundMoney(amount) : maximum.total,
+    }
+
+    // Claim the return before the provider is called, so a second request can't refund it again
+    const claimed = await ReturnRequest.updateOne({ _id: returnRequest._id, status: 'received' }, { $set: { status: 'refunding', updatedAt: new Date() } })
+    if (claimed.modifiedCount === 0) {
+      return res.status(409).json({ message: 'This return is already being refunded' })
+    }
+
+    let payment
+    try {
+      payment = await refundOrderPayment(order._id, refund.total, `Return ${returnRequest.rmaNumber}`)
+    } catch (error) {
+      await ReturnRequest.updateOne({ _id: returnRequest._id, status: 'refunding' }, { $set: { status: 'received' } })
+      throw error
+    }
+    const { providerRefundId } = payment
+
+    returnRequest.refund = { ...refund, providerRefundId, refundedAt: new Date() }
+    setReturnStatus(returnRequest, 'refunded', { userId: req.user.id, note })
+    await returnRequest.save()
+
+    order.refundedAmount = roundMoney(order.refundedAmount + refund.total)
+    order.paymentStatus = order.refundedAmount >= order.total ? 'refunded' : 'partially_refunded'
+    if (order.paymentStatus === 'refunded' && order.status === 'delivered') {
+      transitionOrder(order, 'refunded', { userId: req.user.id, note: `Refunded through return ${returnRequest.rmaNumber}` })
+    }
+    await order.save()
+
+    await recordRefund(order, refund)
+
+    res.json({
+      message: 'Return refunded successfully',
+      data: returnRequest,
+    })
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message })
+    }
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+module.exports = {
+  createReturnRequest,
+  getMyReturns,
+  getStoreReturns,
+  getStoreReturnById,
+  approveReturn: reviewReturn('approved'),
+  rejectReturn: reviewReturn('rejected'),
+  receiveReturn,
+  refundReturn,
+}
@@ -0,0 +1,243 @@
+const Review = require('../models/Review')
+const Product = require('../models/Product')
+const { deleteFromS3 } = require('../utils/s3')
+const { processAndUploadImage } = require('../utils/images')
+const { updateProductRating, findVerifiedPurchase } = require('../utils/reviews')
+const Joi = require('joi')
+
+const MAX_REVIEW_IMAGES = 5
+
+// Images are stored under the path of their public URL
+const deleteReviewImages = async (review) => {
+  for (const image of review.images) {
+    try {
+      await deleteFromS3(new URL(image.original).pathname.slice(1))
+      await deleteFromS3(new URL(image.thumbnail).pathname.slice(1))
+    } catch (error) {
+      console.error('Error deleting review image:', error)
+    }
+  }
+}
+
+// Public routes
+const getProductReviews = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, rating } = req.query
+
+    const product = await Product.findOne({ _id: req.params.id, storeId: req.store._id }).select('ratingAverage ratingCount').lean()
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found in this store' })
+    }
+
+    const query = { productId: product._id, status: 'approved' }
+    if (rating) query.rating = parseInt(rating)
+
+    const totalReviews = await Review.countDocuments(query)
+    const reviews = await Review.find(query)
+      .select('-moderatedBy -moderatedAt -moderationNote -orderId')
+      .populate('userId', 'name')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean()
+
+    res.json({
+      message: 'Reviews fetched successfully',
+      data: {
+        reviews,
+        ratingAverage: product.ratingAverage,
+        ratingCount: product.ratingCount,
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalReviews / limit),
+        totalReviews,
+      },
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+// Customer routes
+const createReview = async (req, res) => {
+  const schema = Joi.object({
+    rating: Joi.number().integer().min(1).max(5).required(),
+    title: Joi.string().trim().max(100).allow(''),
+    comment: Joi.string().trim().max(2000).allow(''),
+    storeId: Joi.string().trim().required(),
+  }).options({ abortEarly: false })
+
+  const { error, value } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  const storeId = req.store._id
+
+  try {
+    if (req.files && req.files.length > MAX_REVIEW_IMAGES) {
+      return res.status(400).json({ message: `A review can have at most ${MAX_REVIEW_IMAGES} photos` })
+    }
+
+    const product = await Product.findOne({ _id: req.params.id, storeId }).select('_id').lean()
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found in this store' })
+    }
+
+    const purchase = await findVerifiedPurchase(req.user.id, storeId, product._id)
+    if (!purchase) {
+      return res.status(403).json({ message: 'Only customers who received this product can review it' })
+    }
+
+    const reviewExists = await Review.exists({ productId: product._id, userId: req.user.id })
+    if (reviewExists) {
+      return res.status(400).json({ message: 'You have already reviewed this product' })
+    }
+
+    const images = []
+    for (const image of req.files || []) {
+      images.push(await processAndUploadImage(image, storeId, 'reviews'))
+    }
+
+    const review = await Review.create({
+      storeId,
+      productId: product._id,
+      userId: req.user.id,
+      orderId: purchase._id,
+      rating: value.rating,
+      title: value.title,
+      comment: value.comment,
+      images,
+    })
+
+    res.status(201).json({
+      message: 'Review submitted and awaiting moderation',
+      data: review,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const deleteMyReview = async (req, res) => {
+  try {
+    const review = await Review.findOneAndDelete({ productId: req.params.id, storeId: req.store._id, userId: req.user.id })
+
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' })
+    }
+
+    await deleteReviewImages(review)
+    if (review.status === 'approved') await updateProductRating(review.productId)
+
+    res.json({ message: 'Review deleted successfully' })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+// Store moderation routes
+const getStoreReviews = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, productId, rating } = req.query
+    const query = { storeId: req.store._id }
+
+    if (status) query.status = { $in: status.split(',') }
+    if (productId) query.productId = productId
+    if (rating) query.rating = parseInt(rating)
+
+    const totalReviews = await Review.countDocuments(query)
+    const reviews = await Review.find(query)
+      .populate('userId', 'name email')
+      .populate('productId', 'name sku')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean()
+
+    res.json({
+      message: 'Reviews fetched successfully',
+      data: {
+        reviews,
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalReviews / limit),
+        totalReviews,
+      },
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const moderateReview = (status) => async (req, res) => {
+  const schema = Joi.object({
+    note: Joi.string().trim().max(500).allow(''),
+    storeId: Joi.string().trim().required(),
+  }).options({ abortEarly: false })
+
+  const { error, value } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  try {
+    const review = await Review.findOne({ _id: req.params.id, storeId: req.store._id })
+
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found in this store' })
+    }
+
+    const wasApproved = review.status === 'approved'
+
+    review.status = status
+    review.moderatedBy = req.user.id
+    review.moderatedAt = new Date()
+    review.moderationNote = value.note
+    await review.save()
+
+    if (wasApproved !== (status === 'approved')) {
+      await updateProductRating(review.productId)
+    }
+
+    res.json({
+      message: `Review ${status}`,
+      data: review,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const approveReview = moderateReview('approved')
+
+const rejectReview = moderateReview('rejected')
+
+const deleteReview = async (req, res) => {
+  try {
+    const review = await Review.findOneAndDelete({ _id: req.params.id, storeId: req.store._id })
+
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found in this store' })
+    }
+
+    await deleteReviewImages(review)
+    if (review.status === 'approved') await updateProductRating(review.productId)
+
+    res.json({ message: 'Review deleted successfully' })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+module.exports = {
+  getProductReviews,
+  createReview,
+  deleteMyReview,
+  getStoreReviews,
+  approveReview,
+  rejectReview,
+  deleteReview,
+}
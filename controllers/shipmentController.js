@@ -0,0 +1,313 @@
+const Shipment = require('../models/Shipment')
+const Order = require('../models/Order')
+const { getCarrier } = require('../utils/carriers')
+const { transitionOrder } = require('../utils/orderStatus')
+const { uploadToS3 } = require('../utils/s3')
+const Joi = require('joi')
+
+const SHIPMENT_STATUSES = Shipment.schema.path('status').enumValues
+
+const LABEL_EXTENSIONS = {
+  'application/pdf': 'pdf',
+  'image/png': 'png',
+  'text/plain': 'txt',
+}
+
+// Quantity of every order line that is already in a shipment
+const getShippedQuantities = (shipments) => {
+  const shipped = new Map()
+  for (const shipment of shipments) {
+    for (const item of shipment.items) {
+      const key = item.orderItemId.toString()
+      shipped.set(key, (shipped.get(key) || 0) + item.quantity)
+    }
+  }
+  return shipped
+}
+
+const isFullyShipped = (order, shipments) => {
+  const shipped = getShippedQuantities(shipments)
+  return order.items.every((item) => (shipped.get(item._id.toString()) || 0) >= item.quantity)
+}
+
+// Walk the order through packed to shipped once every line item has left the store
+const markOrderShipped = (order, userId) => {
+  if (order.status === 'confirmed') {
+    transitionOrder(order, 'packed', { userId })
+  }
+  if (order.status === 'packed') {
+    transitionOrder(order, 'shipped', { userId })
+  }
+}
+
+const uploadLabel = async (label, storeId, reference) => {
+  const extension = LABEL_EXTENSIONS[label.mimetype] || 'bin'
+  return uploadToS3(label, `shipments/${storeId}/labels/${Date.now()}_${reference}.${extension}`)
+}
+
+const createShipment = async (req, res) => {
+  const schema = Joi.object({
+    orderId: Joi.string().trim().length(24).required(),
+    // JSON array of { orderItemId, quantity }, defaults to everything not shipped yet
+    items: Joi.string().trim(),
+    carrier: Joi.string().trim(),
+    serviceCode: Joi.string().trim(),
+    trackingNumber: Joi.string().trim(),
+    storeId: Joi.string().trim().required(),
+  }).options({ abortEarly: false })
+
+  const { error } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  const { orderId, items, trackingNumber } = req.body
+  const storeId = req.store._id
+
+  let requestedItems
+  if (items) {
+    try {
+      requestedItems = JSON.parse(items)
+    } catch (err) {
+      return res.status(400).json({ message: 'Invalid items data' })
+    }
+
+    const itemsSchema = Joi.array()
+      .items(
+        Joi.object({
+          orderItemId: Joi.string().trim().length(24).required(),
+          quantity: Joi.number().integer().min(1).required(),
+        })
+      )
+      .min(1)
+
+    const { error: itemsError } = itemsSchema.validate(requestedItems)
+    if (itemsError) {
+      return res.status(400).json({
+        message: itemsError.details.map((err) => err.message).join(', '),
+      })
+    }
+  }
+
+  try {
+    const order = await Order.findOne({ _id: orderId, storeId })
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found in this store' })
+    }
+
+    if (!['confirmed', 'packed'].includes(order.status)) {
+      return res.status(409).json({ message: `Orders that are ${order.status} cannot be shipped` })
+    }
+
+    const existingShipments = await Shipment.find({ orderId: order._id })
+    const shipped = getShippedQuantities(existingShipments)
+
+    const remainingItems = order.items
+      .map((item) => ({ orderItem: item, quantity: item.quantity - (shipped.get(item._id.toString()) || 0) }))
+      .filter((entry) => entry.quantity > 0)
+
+    let shipmentItems
+    if (requestedItems) {
+      shipmentItems = []
+      for (const requested of requestedItems) {
+        const remaining = remainingItems.find((entry) => entry.orderItem._id.toString() === requested.orderItemId)
+        if (!remaining) {
+          return res.status(400).json({ message: `Order item ${requested.orderItemId} has nothing left to ship` })
+        }
+        if (requested.quantity > remaining.quantity) {
+          return res.status(400).json({ message: `Only ${remaining.quantity} of ${remaining.orderItem.name} left to ship` })
+        }
+        shipmentItems.push({ orderItem: remaining.orderItem, quantity: requested.quantity })
+      }
+    } else {
+      shipmentItems = remainingItems
+    }
+
+    if (shipmentItems.length === 0) {
+      return res.status(400).json({ message: 'All items of this order have already been shipped' })
+    }
+
+    const shipment = new Shipment({
+      orderId: order._id,
+      storeId,
+      items: shipmentItems.map(({ orderItem, quantity }) => ({
+        orderItemId: orderItem._id,
+        productId: orderItem.productId,
+        name: orderItem.name,
+        sku: orderItem.sku,
+        color: orderItem.color,
+        size: orderItem.size,
+        quantity,
+      })),
+      carrier: req.body.carrier || order.shippingCarrier,
+      serviceCode: req.body.serviceCode || order.shippingService,
+      trackingNumber,
+      createdBy: req.user.id,
+    })
+
+    if (req.file) {
+      // Label bought outside the API and uploaded by staff
+      shipment.labelUrl = await uploadLabel(req.file, storeId, trackingNumber || shipment._id)
+    } else if (!trackingNumber && shipment.carrier !== 'flat') {
+      const carrier = getCarrier(shipment.carrier)
+      const result = await carrier.createLabel({
+        from: req.store.address,
+        to: order.shippingAddress,
+        items: shipment.items,
+        serviceCode: shipment.serviceCode,
+        reference: shipment._id.toString(),
+      })
+
+      shipment.trackingNumber = result.trackingNumber
+      if (result.label) {
+        shipment.labelUrl = await uploadLabel(result.label, storeId, result.trackingNumber)
+      }
+    }
+
+    shipment.events.push({ status: 'label_created', description: 'Shipping label created' })
+    await shipment.save()
+
+    if (isFullyShipped(order, [...existingShipments, shipment])) {
+      markOrderShipped(order, req.user.id)
+      await order.save()
+    }
+
+    res.status(201).json({
+      message: 'Shipment created successfully',
+      data: { shipment, orderStatus: order.status },
+    })
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message })
+    }
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const getShipments = async (req, res) => {
+  try {
+    const { orderId, page = 1, limit = 10 } = req.query
+    const query = { storeId: req.store._id }
+
+    if (orderId) query.orderId = orderId
+
+    const totalShipments = await Shipment.countDocuments(query)
+    const shipments = await Shipment.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean()
+
+    res.json({
+      message: 'Shipments fetched successfully',
+      data: {
+        shipments,
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalShipments / limit),
+        totalShipments,
+      },
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+// Record a tracking event by hand, e.g. for stores shipping with their own courier
+const addTrackingEvent = async (req, res) => {
+  const schema = Joi.object({
+    status: Joi.string()
+      .valid(...SHIPMENT_STATUSES)
+      .required(),
+    description: Joi.string().trim().max(200),
+    location: Joi.string().trim().max(100),
+    occurredAt: Joi.date(),
+    storeId: Joi.string().trim().required(),
+  }).options({ abortEarly: false })
+
+  const { error } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  const { status, description, location, occurredAt } = req.body
+
+  try {
+    const shipment = await Shipment.findOne({ _id: req.params.id, storeId: req.store._id })
+    if (!shipment) {
+      return res.status(404).json({ message: 'Shipment not found in this store' })
+    }
+
+    shipment.events.push({ status, description, location, occurredAt })
+    shipment.status = status
+    await shipment.save()
+
+    // Deliver the order once every shipment of a fully shipped order has arrived
+    if (status === 'delivered') {
+      const order = await Order.findById(shipment.orderId)
+      const shipments = await Shipment.find({ orderId: shipment.orderId })
+
+      if (order.status === 'shipped' && isFullyShipped(order, shipments) && shipments.every((s) => s.status === 'delivered')) {
+        transitionOrder(order, 'delivered', { userId: req.user.id })
+        await order.save()
+      }
+    }
+
+    res.status(201).json({
+      message: 'Tracking event added successfully',
+      data: shipment,
+    })
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message })
+    }
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+// Customer view of the shipments of one of their orders, with the latest carrier events
+const getOrderTracking = async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, userId: req.user.id }).select('orderNumber status items').lean()
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' })
+    }
+
+    const shipments = await Shipment.find({ orderId: order._id }).select('-createdBy -labelUrl').sort({ createdAt: 1 }).lean()
+
+    for (const shipment of shipments) {
+      if (shipment.carrier === 'flat' || !shipment.trackingNumber) continue
+
+      try {
+        const carrierEvents = await getCarrier(shipment.carrier).getTracking(shipment)
+        shipment.events = [...shipment.events, ...carrierEvents].sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt))
+        if (carrierEvents.length > 0) {
+          shipment.status = shipment.events[shipment.events.length - 1].status
+        }
+      } catch (error) {
+        console.error('Error fetching carrier tracking events:', error.message)
+      }
+    }
+
+    res.json({
+      message: 'Order tracking fetched successfully',
+      data: {
+        orderNumber: order.orderNumber,
+        status: order.status,
+        shipments,
+      },
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+module.exports = {
+  createShipment,
+  getShipments,
+  addTrackingEvent,
+  getOrderTracking,
+}
@@ -3,6 +3,9 @@ const User = require('../models/User')
 const { uploadToS3, deleteFromS3 } = require('../utils/s3')
 const sharp = require('sharp')
 const Joi = require('joi')
+const { CARRIER_NAMES } = require('../utils/carriers')
+const { TAX_MODES } = require('../utils/tax')
+const { getPurgeDate } = require('../utils/trash')
 
 // Image processing helper
 const processAndUploadImage = async (imageFile, type = 'logo') => {
@@ -46,7 +49,13 @@ const createStore = async (req, res) => {
     settings: Joi.object({
       currency: Joi.string().default('USD'),
       taxRate: Joi.number().min(0).max(1).default(0),
+      taxMode: Joi.string()
+        .valid(...TAX_MODES)
+        .default('exclusive'),
       shippingFee: Joi.number().min(0).default(0),
+      shippingCarrier: Joi.string()
+        .valid(...CARRIER_NAMES)
+        .default('flat'),
     }).default(),
   })
 
@@ -145,7 +154,9 @@ const updateStore = async (req, res) => {
     settings: Joi.object({
       currency: Joi.string(),
       taxRate: Joi.number().min(0).max(1),
+      taxMode: Joi.string().valid(...TAX_MODES),
       shippingFee: Joi.number().min(0),
+      shippingCarrier: Joi.string().valid(...CARRIER_NAMES),
     }),
     isActive: Joi.boolean(),
   })
@@ -273,6 +284,8 @@ const getStoreById = async (req, res) => {
   }
 }
 
+// Moves the store to the trash. Staff roles are kept so the store can be restored as it was,
+// until it is purged with its products and categories, see utils/trash.js.
 const deleteStore = async (req, res) => {
   try {
     const store = await Store.findById(req.params.id)
@@ -281,20 +294,12 @@ const deleteStore = async (req, res) => {
       return res.status(404).json({ message: 'Store not found' })
     }
 
-    // Delete store images
-    if (store.logo) {
-      await deleteFromS3(store.logo.split('/').pop())
-    }
-    if (store.banner) {
-      await deleteFromS3(store.banner.split('/').pop())
-    }
-
-    // Remove store roles from users
-    await User.updateMany({ 'storeRoles.storeId': store._id }, { $pull: { storeRoles: { storeId: store._id } } })
-
-    await store.deleteOne()
+    await store.softDelete(req.user.id)
 
-    res.json({ message: 'Store deleted successfully' })
+    res.json({
+      message: 'Store moved to trash',
+      data: { _id: store._id, deletedAt: store.deletedAt, purgeAt: getPurgeDate(store.deletedAt) },
+    })
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message })
   }
@@ -386,6 +391,34 @@ const getStoreStaff = async (req, res) => {
   }
 }
 
+const updateStoreCommission = async (req, res) => {
+  const schema = Joi.object({
+    commissionRate: Joi.number().min(0).max(1).required(),
+  })
+
+  const { error } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  try {
+    const store = await Store.findByIdAndUpdate(req.params.id, { commissionRate: req.body.commissionRate, updatedAt: new Date() }, { new: true })
+
+    if (!store) {
+      return res.status(404).json({ message: 'Store not found' })
+    }
+
+    res.json({
+      message: 'Store commission updated successfully',
+      data: store,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
 module.exports = {
   createStore,
   updateStore,
@@ -395,4 +428,5 @@ module.exports = {
   manageStaffRole,
   removeStaffRole,
   getStoreStaff,
+  updateStoreCommission,
 }
@@ -0,0 +1,175 @@
+const TaxClass = require('../models/TaxClass')
+const Category = require('../models/Category')
+const Product = require('../models/Product')
+const Joi = require('joi')
+
+const taxRuleSchema = Joi.object({
+  country: Joi.string().trim().min(2).max(56).required(),
+  state: Joi.string().trim().max(56).allow(''),
+  rate: Joi.number().min(0).max(1).required(),
+})
+
+const taxClassSchema = {
+  name: Joi.string().trim().min(2).max(50),
+  description: Joi.string().trim().max(500).allow(''),
+  defaultRate: Joi.number().min(0).max(1),
+  rules: Joi.array().items(taxRuleSchema),
+  storeId: Joi.string().trim().required(),
+}
+
+// Two rules for the same destination would make the rate ambiguous
+const findDuplicateRule = (rules = []) => {
+  const seen = new Set()
+  return rules.find((rule) => {
+    const key = `${rule.country.toUpperCase()}:${(rule.state || '').toUpperCase()}`
+    if (seen.has(key)) return true
+    seen.add(key)
+    return false
+  })
+}
+
+const getTaxClasses = async (req, res) => {
+  try {
+    const taxClasses = await TaxClass.find({ storeId: req.store._id }).sort({ name: 1 }).lean()
+
+    res.json({
+      message: 'Tax classes fetched successfully',
+      data: taxClasses,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const getTaxClassById = async (req, res) => {
+  try {
+    const taxClass = await TaxClass.findOne({ _id: req.params.id, storeId: req.store._id }).lean()
+
+    if (!taxClass) {
+      return res.status(404).json({ message: 'Tax class not found' })
+    }
+
+    res.json({
+      message: 'Tax class fetched successfully',
+      data: taxClass,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const createTaxClass = async (req, res) => {
+  const schema = Joi.object({
+    ...taxClassSchema,
+    name: taxClassSchema.name.required(),
+  }).options({ abortEarly: false })
+
+  const { error, value } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  const duplicateRule = findDuplicateRule(value.rules)
+  if (duplicateRule) {
+    return res.status(400).json({ message: `More than one rule for ${duplicateRule.country}${duplicateRule.state ? ` / ${duplicateRule.state}` : ''}` })
+  }
+
+  try {
+    const { storeId, ...fields } = value
+
+    const taxClassExists = await TaxClass.exists({ storeId: req.store._id, name: fields.name })
+    if (taxClassExists) {
+      return res.status(400).json({ message: 'Tax class already exists in this store' })
+    }
+
+    const taxClass = await TaxClass.create({ ...fields, storeId: req.store._id })
+
+    res.status(201).json({
+      message: 'Tax class created successfully',
+      data: taxClass,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const updateTaxClass = async (req, res) => {
+  const schema = Joi.object(taxClassSchema).options({ abortEarly: false })
+
+  const { error, value } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  const duplicateRule = findDuplicateRule(value.rules)
+  if (duplicateRule) {
+    return res.status(400).json({ message: `More than one rule for ${duplicateRule.country}${duplicateRule.state ? ` / ${duplicateRule.state}` : ''}` })
+  }
+
+  try {
+    const taxClass = await TaxClass.findOne({ _id: req.params.id, storeId: req.store._id })
+
+    if (!taxClass) {
+      return res.status(404).json({ message: 'Tax class not found' })
+    }
+
+    const { storeId, ...fields } = value
+
+    if (fields.name && fields.name !== taxClass.name) {
+      const nameExists = await TaxClass.exists({ storeId: req.store._id, name: fields.name, _id: { $ne: taxClass._id } })
+      if (nameExists) {
+        return res.status(400).json({ message: 'Tax class name already exists in this store' })
+      }
+    }
+
+    taxClass.set(fields)
+    await taxClass.save()
+
+    res.json({
+      message: 'Tax class updated successfully',
+      data: taxClass,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+// A tax class can only be deleted once no category or product uses it
+const deleteTaxClass = async (req, res) => {
+  try {
+    const storeId = req.store._id
+    const taxClass = await TaxClass.findOne({ _id: req.params.id, storeId })
+
+    if (!taxClass) {
+      return res.status(404).json({ message: 'Tax class not found' })
+    }
+
+    const categoryCount = await Category.countDocuments({ storeId, taxClassId: taxClass._id })
+    const productCount = await Product.countDocuments({ storeId, taxClassId: taxClass._id })
+
+    if (categoryCount > 0 || productCount > 0) {
+      return res.status(409).json({
+        message: `Tax class is used by ${categoryCount} category(ies) and ${productCount} product(s)`,
+        data: { categoryCount, productCount },
+      })
+    }
+
+    await taxClass.deleteOne()
+
+    res.json({ message: 'Tax class deleted successfully' })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+module.exports = {
+  getTaxClasses,
+  getTaxClassById,
+  createTaxClass,
+  updateTaxClass,
+  deleteTaxClass,
+}
@@ -0,0 +1,164 @@
+const Store = require('../models/Store')
+const Category = require('../models/Category')
+const Product = require('../models/Product')
+const User = require('../models/User')
+const { getPurgeDate, purgeProduct, purgeCategory } = require('../utils/trash')
+
+const TRASH_TYPES = {
+  products: { Model: Product, fields: 'name sku images price deletedAt deletedBy', label: 'Product' },
+  categories: { Model: Category, fields: 'name image thumbnail parentCategory deletedAt deletedBy', label: 'Category' },
+}
+
+const findTrashType = (req, res) => {
+  const trashType = TRASH_TYPES[req.params.type]
+  if (!trashType) {
+    res.status(400).json({ message: `type must be one of ${Object.keys(TRASH_TYPES).join(', ')}` })
+  }
+  return trashType
+}
+
+const findTrashedItem = ({ Model }, req) => {
+  return Model.findOne({ _id: req.params.itemId, storeId: req.store._id, deletedAt: { $ne: null } })
+}
+
+// Deleted products or categories of the store, most recently deleted first
+const getTrash = async (req, res) => {
+  const trashType = findTrashType(req, res)
+  if (!trashType) return
+
+  try {
+    const { page = 1, limit = 20 } = req.query
+    const query = { storeId: req.store._id, deletedAt: { $ne: null } }
+
+    const totalItems = await trashType.Model.countDocuments(query)
+    const items = await trashType.Model.find(query)
+      .select(trashType.fields)
+      .populate('deletedBy', 'name email')
+      .sort({ deletedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean()
+
+    items.forEach((item) => (item.purgeAt = getPurgeDate(item.deletedAt)))
+
+    res.json({
+      message: 'Trash fetched successfully',
+      data: {
+        items,
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalItems / limit),
+        totalItems,
+      },
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const restoreTrashItem = async (req, res) => {
+  const trashType = findTrashType(req, res)
+  if (!trashType) return
+
+  try {
+    const item = await findTrashedItem(trashType, req)
+    if (!item) {
+      return res.status(404).json({ message: `${trashType.label} not found in the trash of this store` })
+    }
+
+    if (trashType.Model === Category && item.parentCategory && !(await Category.exists({ _id: item.parentCategory }))) {
+      return res.status(409).json({ message: 'Restore the parent category first' })
+    }
+
+    await item.restore()
+
+    res.json({
+      message: `${trashType.label} restored successfully`,
+      data: item,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+// Purge an item from the trash now instead of waiting for the retention period
+const deleteTrashItem = async (req, res) => {
+  const trashType = findTrashType(req, res)
+  if (!trashType) return
+
+  try {
+    const item = await findTrashedItem(trashType, req)
+    if (!item) {
+      return res.status(404).json({ message: `${trashType.label} not found in the trash of this store` })
+    }
+
+    await (trashType.Model === Product ? purgeProduct(item) : purgeCategory(item))
+
+    res.json({ message: `${trashType.label} deleted permanently` })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+// Deleted stores, for admins
+const getDeletedStores = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query
+    const query = { deletedAt: { $ne: null } }
+
+    const totalStores = await Store.countDocuments(query)
+    const stores = await Store.find(query)
+      .populate('deletedBy', 'name email')
+      .sort({ deletedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean()
+
+    stores.forEach((store) => (store.purgeAt = getPurgeDate(store.deletedAt)))
+
+    res.json({
+      message: 'Deleted stores fetched successfully',
+      data: {
+        stores,
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalStores / limit),
+        totalStores,
+      },
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+// A deleted store can be restored by an admin or by one of its store admins
+const restoreStore = async (req, res) => {
+  try {
+    const store = await Store.findOne({ _id: req.params.id, deletedAt: { $ne: null } })
+    if (!store) {
+      return res.status(404).json({ message: 'Store not found in the trash' })
+    }
+
+    if (!['admin', 'superadmin'].includes(req.user.role)) {
+      const isStoreAdmin = await User.exists({ _id: req.user.id, storeRoles: { $elemMatch: { storeId: store._id, role: 'store_admin' } } })
+      if (!isStoreAdmin) {
+        return res.status(403).json({ message: 'You do not have the required permissions for this store' })
+      }
+    }
+
+    await store.restore()
+
+    res.json({
+      message: 'Store restored successfully',
+      data: store,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+module.exports = {
+  getTrash,
+  restoreTrashItem,
+  deleteTrashItem,
+  getDeletedStores,
+  restoreStore,
+}
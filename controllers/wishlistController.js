@@ -0,0 +1,185 @@
+const Wishlist = require('../models/Wishlist')
+const Product = require('../models/Product')
+const Store = require('../models/Store')
+const { attachAvailability } = require('../utils/inventory')
+const { variantPrice } = require('../utils/cart')
+const { visibleProductFilter } = require('../utils/productStatus')
+const Joi = require('joi')
+
+const MAX_WISHLIST_ITEMS = 200
+
+// Show every saved product with its current price and stock per color and size. Products the
+// store has deleted or unpublished, or that are sold out in every option, are flagged instead
+// of dropped.
+const formatWishlist = async (wishlist, storeId) => {
+  const items = (wishlist?.items || []).filter((item) => !storeId || item.storeId.toString() === storeId)
+
+  const products = await Product.find({ _id: { $in: items.map((item) => item.productId) }, ...visibleProductFilter() })
+    .select('name price sku images colors storeId')
+    .lean()
+  await attachAvailability(products)
+
+  const stores = await Store.find({ _id: { $in: items.map((item) => item.storeId) } })
+    .select('name slug logo settings.currency')
+    .lean()
+
+  const productsById = new Map(products.map((product) => [product._id.toString(), product]))
+  const storesById = new Map(stores.map((store) => [store._id.toString(), store]))
+
+  const lines = items.map((item) => {
+    const product = productsById.get(item.productId.toString())
+    const store = storesById.get(item.storeId.toString())
+
+    const line = {
+      productId: item.productId,
+      storeId: item.storeId,
+      store: store ? { name: store.name, slug: store.slug, logo: store.logo, currency: store.settings?.currency } : null,
+      addedAt: item.addedAt,
+    }
+
+    // Products of a deleted store count as deleted too
+    if (!product || !store) {
+      return { ...line, name: item.name, image: item.image, isDeleted: true, isOutOfStock: true }
+    }
+
+    const colors = product.colors.map((color) => ({
+      name: color.name,
+      image: color.image,
+      sizes: color.sizes.map((size) => ({
+        name: size.name,
+        sku: size.sku,
+        price: variantPrice(product, size),
+        compareAtPrice: size.compareAtPrice ?? null,
+        available: size.available,
+        inStock: size.available > 0,
+      })),
+    }))
+
+    return {
+      ...line,
+      name: product.name,
+      sku: product.sku,
+      image: product.images?.[0]?.thumbnail || item.image,
+      price: product.price,
+      colors,
+      isDeleted: false,
+      isOutOfStock: !colors.some((color) => color.sizes.some((size) => size.inStock)),
+    }
+  })
+
+  return {
+    items: lines,
+    itemCount: lines.length,
+    updatedAt: wishlist?.updatedAt,
+  }
+}
+
+const getWishlist = async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ userId: req.user.id })
+    const data = await formatWishlist(wishlist, req.query.storeId)
+
+    res.json({
+      message: 'Wishlist fetched successfully',
+      data,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const addWishlistItem = async (req, res) => {
+  const schema = Joi.object({
+    productId: Joi.string().trim().length(24).required(),
+  }).options({ abortEarly: false })
+
+  const { error, value } = schema.validate(req.body)
+  if (error) {
+    return res.status(400).json({
+      message: error.details.map((err) => err.message).join(', '),
+    })
+  }
+
+  try {
+    const product = await Product.findOne({ _id: value.productId, ...visibleProductFilter() }).select('name images storeId').lean()
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' })
+    }
+
+    const wishlist = (await Wishlist.findOne({ userId: req.user.id })) || new Wishlist({ userId: req.user.id, items: [] })
+    const alreadySaved = wishlist.items.some((item) => item.productId.toString() === value.productId)
+
+    if (!alreadySaved) {
+      if (wishlist.items.length >= MAX_WISHLIST_ITEMS) {
+        return res.status(400).json({ message: `A wishlist can hold at most ${MAX_WISHLIST_ITEMS} products` })
+      }
+
+      wishlist.items.push({
+        productId: product._id,
+        storeId: product.storeId,
+        name: product.name,
+        image: product.images?.[0]?.thumbnail,
+      })
+      await wishlist.save()
+    }
+
+    const data = await formatWishlist(wishlist)
+
+    res.status(alreadySaved ? 200 : 201).json({
+      message: alreadySaved ? 'Product is already in your wishlist' : 'Product added to wishlist',
+      data,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const removeWishlistItem = async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ userId: req.user.id })
+    const item = wishlist?.items.find((wishlistItem) => wishlistItem.productId.toString() === req.params.productId)
+
+    if (!item) {
+      return res.status(404).json({ message: 'Product not found in wishlist' })
+    }
+
+    wishlist.items.pull(item._id)
+    await wishlist.save()
+
+    const data = await formatWishlist(wishlist)
+
+    res.json({
+      message: 'Product removed from wishlist',
+      data,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+const clearWishlist = async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ userId: req.user.id })
+
+    if (wishlist) {
+      wishlist.items = []
+      await wishlist.save()
+    }
+
+    const data = await formatWishlist(wishlist)
+
+    res.json({
+      message: 'Wishlist cleared successfully',
+      data,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+}
+
+module.exports = {
+  getWishlist,
+  addWishlistItem,
+  removeWishlistItem,
+  clearWishlist,
+}
@@ -0,0 +1,12 @@
+const auth = require('./auth')
+
+// Attach req.user when an Authorization header is sent, otherwise continue as a guest
+const optionalAuth = (req, res, next) => {
+  if (!req.header('Authorization')) {
+    return next()
+  }
+
+  return auth(req, res, next)
+}
+
+module.exports = optionalAuth
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose')
+const { Schema } = mongoose
+
+const cartItemSchema = new Schema({
+  productId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  color: {
+    type: String,
+    required: true,
+  },
+  size: {
+    type: String,
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+})
+
+const cartSchema = new Schema({
+  storeId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true,
+  },
+  // Set for logged in customers
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Set for guest carts, sent back by the client in the x-cart-token header
+  guestToken: {
+    type: String,
+  },
+  items: [cartItemSchema],
+  couponCode: {
+    type: String,
+    uppercase: true,
+    trim: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+// One cart per customer or guest within a store
+cartSchema.index({ storeId: 1, userId: 1 }, { unique: true, partialFilterExpression: { userId: { $type: 'objectId' } } })
+cartSchema.index({ storeId: 1, guestToken: 1 }, { unique: true, partialFilterExpression: { guestToken: { $type: 'string' } } })
+
+// Abandoned guest carts are cleaned up after 30 days
+cartSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60, partialFilterExpression: { guestToken: { $type: 'string' } } })
+
+cartSchema.pre('save', function (next) {
+  this.updatedAt = new Date()
+  next()
+})
+
+const Cart = mongoose.model('Cart', cartSchema)
+
+module.exports = Cart
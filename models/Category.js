@@ -1,5 +1,35 @@
 const mongoose = require('mongoose')
 const { Schema } = mongoose
+const softDelete = require('../utils/softDelete')
+
+// Attribute products in the category can have, e.g. spice level or storage. The types are
+// listed in utils/attributes.js, which validates product values against these definitions.
+const attributeDefinitionSchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ['text', 'number', 'boolean', 'select', 'multiselect'],
+      default: 'text',
+    },
+    // Only used by select and multiselect
+    allowedValues: [String],
+    required: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+)
 
 const categorySchema = new Schema({
   name: {
@@ -24,15 +54,44 @@ const categorySchema = new Schema({
     ref: 'Category',
     default: null,
   },
+  // Every category above this one, from the top level category down to the parent. Kept in
+  // step with parentCategory by utils/categoryTree.js.
+  ancestors: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: 'Category',
+    },
+  ],
+  // 0 for top level categories
+  depth: {
+    type: Number,
+    default: 0,
+  },
+  // Manual order among the categories of the store, set by reorderCategories
+  position: {
+    type: Number,
+    default: 0,
+  },
   storeId: {
     type: Schema.Types.ObjectId,
     ref: 'Store',
     required: true,
   },
+  attributes: [attributeDefinitionSchema],
+  // Tax class of the products in this category, unless a product overrides it
+  taxClassId: {
+    type: Schema.Types.ObjectId,
+    ref: 'TaxClass',
+    default: null,
+  },
 })
 
 // Compound index for unique category names within a store
 categorySchema.index({ name: 1, storeId: 1 }, { unique: true })
+categorySchema.index({ storeId: 1, ancestors: 1 })
+
+// Deleted categories stay in the trash until purged, see utils/trash.js
+categorySchema.plugin(softDelete)
 
 const Category = mongoose.model('Category', categorySchema)
 module.exports = Category
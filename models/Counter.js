@@ -0,0 +1,17 @@
+const mongoose = require('mongoose')
+
+// Named sequences, e.g. invoice numbers of a store. The _id is the sequence name.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+})
+
+const Counter = mongoose.model('Counter', counterSchema)
+
+module.exports = Counter
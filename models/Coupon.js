@@ -0,0 +1,95 @@
+const mongoose = require('mongoose')
+const { Schema } = mongoose
+
+const couponSchema = new Schema({
+  storeId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true,
+  },
+  code: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'free_shipping'],
+    required: true,
+  },
+  // Percentage (0-100) or fixed amount in the store currency, unused for free_shipping
+  value: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Cap on the discount of percentage coupons
+  maxDiscount: {
+    type: Number,
+    default: null,
+  },
+  minSpend: {
+    type: Number,
+    default: 0,
+  },
+  // null means unlimited
+  usageLimit: {
+    type: Number,
+    default: null,
+  },
+  perCustomerLimit: {
+    type: Number,
+    default: null,
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+  },
+  startsAt: {
+    type: Date,
+  },
+  endsAt: {
+    type: Date,
+  },
+  // When both are empty the coupon applies to the whole store
+  categories: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: 'Category',
+    },
+  ],
+  products: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: 'Product',
+    },
+  ],
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+// Coupon codes are unique within a store
+couponSchema.index({ code: 1, storeId: 1 }, { unique: true })
+
+couponSchema.pre('save', function (next) {
+  this.updatedAt = new Date()
+  next()
+})
+
+const Coupon = mongoose.model('Coupon', couponSchema)
+
+module.exports = Coupon
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose')
+const { Schema } = mongoose
+
+// Units of a currency per one unit of the platform base currency (EXCHANGE_BASE_CURRENCY, USD by
+// default), so any two currencies in the table can be converted through the base.
+const exchangeRateSchema = new Schema({
+  currency: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // How converted display prices in this currency are rounded, e.g. increment 0.05 and mode 'nearest'
+  // for CHF or increment 1 and mode 'up' for JPY
+  rounding: {
+    increment: {
+      type: Number,
+      default: 0.01,
+      min: 0,
+    },
+    mode: {
+      type: String,
+      enum: ['nearest', 'up', 'down'],
+      default: 'nearest',
+    },
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+exchangeRateSchema.pre('save', function (next) {
+  this.updatedAt = new Date()
+  next()
+})
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema)
+
+module.exports = ExchangeRate
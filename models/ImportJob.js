@@ -0,0 +1,94 @@
+const mongoose = require('mongoose')
+const { Schema } = mongoose
+
+// A bulk product import of a store, processed in the background by utils/productImport.js
+const importJobSchema = new Schema({
+  storeId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true,
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'jsonl'],
+    required: true,
+  },
+  fileName: {
+    type: String,
+  },
+  // The uploaded file, kept in S3 until the job has run
+  fileKey: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued',
+  },
+  totalRecords: {
+    type: Number,
+    default: 0,
+  },
+  processedRecords: {
+    type: Number,
+    default: 0,
+  },
+  createdCount: {
+    type: Number,
+    default: 0,
+  },
+  updatedCount: {
+    type: Number,
+    default: 0,
+  },
+  failedCount: {
+    type: Number,
+    default: 0,
+  },
+  // Why a product could not be imported. row is the CSV row or JSON Lines line number (1 is the
+  // CSV header), a CSV product spanning several rows is reported on its first row.
+  rowErrors: [
+    {
+      _id: false,
+      row: Number,
+      sku: String,
+      message: String,
+    },
+  ],
+  // Set when the whole file could not be processed
+  error: {
+    type: String,
+  },
+  startedAt: {
+    type: Date,
+  },
+  finishedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+importJobSchema.index({ storeId: 1, createdAt: -1 })
+importJobSchema.index({ status: 1, createdAt: 1 })
+
+importJobSchema.pre('save', function (next) {
+  this.updatedAt = new Date()
+  next()
+})
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema)
+
+module.exports = ImportJob
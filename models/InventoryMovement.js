@@ -0,0 +1,72 @@
+const mongoose = require('mongoose')
+const { Schema } = mongoose
+
+// One change to the stock of a product variant. Written by utils/inventory.js next to every stock update.
+const inventoryMovementSchema = new Schema({
+  storeId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true,
+  },
+  productId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  color: {
+    type: String,
+    required: true,
+  },
+  size: {
+    type: String,
+    required: true,
+  },
+  sku: {
+    type: String,
+  },
+  type: {
+    type: String,
+    enum: ['sale', 'return', 'cancellation', 'adjustment', 'stock_take'],
+    required: true,
+  },
+  // Positive when stock came in, negative when it went out
+  change: {
+    type: Number,
+    required: true,
+  },
+  quantityAfter: {
+    type: Number,
+    required: true,
+  },
+  reason: {
+    type: String,
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  orderId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+  returnId: {
+    type: Schema.Types.ObjectId,
+    ref: 'ReturnRequest',
+  },
+  // Set when this movement took the stock to or below the product's low stock threshold
+  lowStock: {
+    type: Boolean,
+    default: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+inventoryMovementSchema.index({ storeId: 1, createdAt: -1 })
+inventoryMovementSchema.index({ productId: 1, createdAt: -1 })
+
+const InventoryMovement = mongoose.model('InventoryMovement', inventoryMovementSchema)
+
+module.exports = InventoryMovement
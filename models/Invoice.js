@@ -0,0 +1,60 @@
+const mongoose = require('mongoose')
+const { Schema } = mongoose
+
+const invoiceSchema = new Schema({
+  // Sequential within the store, e.g. INV-000042
+  invoiceNumber: {
+    type: String,
+    required: true,
+  },
+  sequence: {
+    type: Number,
+    required: true,
+  },
+  storeId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true,
+  },
+  orderId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true,
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Archived PDF, set once the file has been rendered and uploaded
+  fileKey: {
+    type: String,
+  },
+  url: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+invoiceSchema.index({ storeId: 1, sequence: 1 }, { unique: true })
+
+invoiceSchema.pre('save', function (next) {
+  this.updatedAt = new Date()
+  next()
+})
+
+const Invoice = mongoose.model('Invoice', invoiceSchema)
+
+module.exports = Invoice
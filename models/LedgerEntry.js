@@ -0,0 +1,80 @@
+const mongoose = require('mongoose')
+const { Schema } = mongoose
+
+const LEDGER_ACCOUNTS = ['platform_cash', 'vendor_payable', 'platform_revenue', 'payouts_payable']
+const LEDGER_ENTRY_TYPES = ['sale', 'commission', 'refund', 'commission_reversal', 'payout', 'payout_settlement']
+
+// One side of a double-entry ledger transaction. All entries sharing a transactionId balance
+// (total debits = total credits). Entries are never changed or removed, corrections are new
+// transactions.
+const ledgerEntrySchema = new Schema({
+  transactionId: {
+    type: String,
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: LEDGER_ENTRY_TYPES,
+    required: true,
+  },
+  account: {
+    type: String,
+    enum: LEDGER_ACCOUNTS,
+    required: true,
+  },
+  storeId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true,
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  currency: {
+    type: String,
+    required: true,
+  },
+  orderId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+  payoutId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Payout',
+  },
+  description: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+ledgerEntrySchema.index({ storeId: 1, account: 1, createdAt: 1 })
+ledgerEntrySchema.index({ transactionId: 1 })
+ledgerEntrySchema.index({ orderId: 1, type: 1 })
+
+const rejectChange = function (next) {
+  next(new Error('Ledger entries are append-only'))
+}
+
+ledgerEntrySchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next)
+  next()
+})
+
+for (const operation of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace']) {
+  ledgerEntrySchema.pre(operation, rejectChange)
+}
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema)
+
+module.exports = LedgerEntry
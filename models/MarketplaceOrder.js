@@ -0,0 +1,55 @@
+const mongoose = require('mongoose')
+const { Schema } = mongoose
+
+const totalsSchema = new Schema(
+  {
+    currency: String,
+    subtotal: Number,
+    discount: Number,
+    tax: Number,
+    shippingFee: Number,
+    total: Number,
+  },
+  { _id: false }
+)
+
+// Parent order of a multi-store checkout. Each store gets its own child Order
+// with its own totals and status; this document only groups them for the customer.
+const marketplaceOrderSchema = new Schema({
+  orderNumber: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  orders: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: 'Order',
+    },
+  ],
+  shippingAddress: {
+    name: String,
+    line1: String,
+    line2: String,
+    city: String,
+    state: String,
+    country: String,
+    postal_code: String,
+  },
+  totals: [totalsSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+marketplaceOrderSchema.index({ userId: 1, createdAt: -1 })
+
+const MarketplaceOrder = mongoose.model('MarketplaceOrder', marketplaceOrderSchema)
+
+module.exports = MarketplaceOrder
@@ -0,0 +1,239 @@
+const mongoose = require('mongoose')
+const { Schema } = mongoose
+const { ORDER_STATUSES } = require('../utils/orderStatus')
+const { TAX_MODES } = require('../utils/tax')
+
+// Snapshot of the product at purchase time, so later product edits don't change past orders
+const orderItemSchema = new Schema({
+  productId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  sku: {
+    type: String,
+    required: true,
+  },
+  color: {
+    type: String,
+    required: true,
+  },
+  size: {
+    type: String,
+    required: true,
+  },
+  image: {
+    type: String,
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  lineTotal: {
+    type: Number,
+    required: true,
+  },
+  taxClassId: {
+    type: Schema.Types.ObjectId,
+    ref: 'TaxClass',
+    default: null,
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+  },
+  // Tax on this line after its share of the coupon discount
+  tax: {
+    type: Number,
+    default: 0,
+  },
+})
+
+// Tax charged at one rate, for the tax breakdown on invoices
+const taxLineSchema = new Schema(
+  {
+    taxClassId: {
+      type: Schema.Types.ObjectId,
+      ref: 'TaxClass',
+      default: null,
+    },
+    name: String,
+    rate: Number,
+    taxable: Number,
+    tax: Number,
+  },
+  { _id: false }
+)
+
+const shippingAddressSchema = new Schema(
+  {
+    name: String,
+    line1: String,
+    line2: String,
+    city: String,
+    state: String,
+    country: String,
+    postal_code: String,
+  },
+  { _id: false }
+)
+
+const statusHistorySchema = new Schema({
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    required: true,
+  },
+  changedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  note: {
+    type: String,
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+const orderSchema = new Schema({
+  orderNumber: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  storeId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true,
+  },
+  // Set when the order is one store's share of a multi-store checkout
+  marketplaceOrderId: {
+    type: Schema.Types.ObjectId,
+    ref: 'MarketplaceOrder',
+    default: null,
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  items: [orderItemSchema],
+  shippingAddress: shippingAddressSchema,
+  currency: {
+    type: String,
+    required: true,
+  },
+  subtotal: {
+    type: Number,
+    required: true,
+  },
+  discount: {
+    type: Number,
+    default: 0,
+  },
+  coupon: {
+    couponId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Coupon',
+    },
+    code: String,
+  },
+  // inclusive when item prices already contain the tax, see utils/tax.js
+  taxMode: {
+    type: String,
+    enum: TAX_MODES,
+    default: 'exclusive',
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+  },
+  taxLines: [taxLineSchema],
+  tax: {
+    type: Number,
+    default: 0,
+  },
+  shippingFee: {
+    type: Number,
+    default: 0,
+  },
+  shippingCarrier: {
+    type: String,
+    default: 'flat',
+  },
+  shippingService: {
+    type: String,
+  },
+  total: {
+    type: Number,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'pending',
+  },
+  statusHistory: [statusHistorySchema],
+  paymentStatus: {
+    type: String,
+    enum: ['unpaid', 'paid', 'failed', 'partially_refunded', 'refunded'],
+    default: 'unpaid',
+  },
+  paidAt: {
+    type: Date,
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0,
+  },
+  // Platform commission, fixed when the payment is recorded in the ledger
+  commissionRate: {
+    type: Number,
+  },
+  commission: {
+    type: Number,
+  },
+  notes: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+orderSchema.index({ storeId: 1, createdAt: -1 })
+orderSchema.index({ userId: 1, createdAt: -1 })
+orderSchema.index({ 'coupon.couponId': 1, userId: 1 })
+
+orderSchema.pre('save', function (next) {
+  this.updatedAt = new Date()
+  next()
+})
+
+// Every order starts its history with the initial status
+orderSchema.pre('save', function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedBy: this.userId, changedAt: this.createdAt })
+  }
+  next()
+})
+
+const Order = mongoose.model('Order', orderSchema)
+
+module.exports = Order
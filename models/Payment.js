@@ -0,0 +1,100 @@
+const mongoose = require('mongoose')
+const { Schema } = mongoose
+
+const refundSchema = new Schema({
+  providerRefundId: {
+    type: String,
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+  },
+  // The order the refund was for
+  orderId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+  reason: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+// One payment intent at the provider. A marketplace checkout pays all child orders
+// in the same currency with a single payment.
+const paymentSchema = new Schema({
+  provider: {
+    type: String,
+    required: true,
+  },
+  providerIntentId: {
+    type: String,
+    required: true,
+  },
+  // Kept so an open intent can be handed out again instead of opening a second one
+  clientSecret: {
+    type: String,
+    select: false,
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  orders: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: 'Order',
+    },
+  ],
+  marketplaceOrderId: {
+    type: Schema.Types.ObjectId,
+    ref: 'MarketplaceOrder',
+    default: null,
+  },
+  amount: {
+    type: Number,
+    required: true,
+  },
+  currency: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['requires_payment', 'authorized', 'succeeded', 'failed', 'partially_refunded', 'refunded', 'cancelled'],
+    default: 'requires_payment',
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0,
+  },
+  refunds: [refundSchema],
+  paidAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+paymentSchema.index({ provider: 1, providerIntentId: 1 }, { unique: true })
+paymentSchema.index({ orders: 1 })
+
+paymentSchema.pre('save', function (next) {
+  this.updatedAt = new Date()
+  next()
+})
+
+const Payment = mongoose.model('Payment', paymentSchema)
+
+module.exports = Payment
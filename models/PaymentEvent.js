@@ -0,0 +1,28 @@
+const mongoose = require('mongoose')
+const { Schema } = mongoose
+
+// Webhook events that have been processed. The unique index makes redelivered events a no-op.
+const paymentEventSchema = new Schema({
+  provider: {
+    type: String,
+    required: true,
+  },
+  eventId: {
+    type: String,
+    required: true,
+  },
+  type: {
+    type: String,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true })
+
+const PaymentEvent = mongoose.model('PaymentEvent', paymentEventSchema)
+
+module.exports = PaymentEvent
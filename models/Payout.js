@@ -0,0 +1,55 @@
+const mongoose = require('mongoose')
+const { Schema } = mongoose
+
+// Money owed to a store for one payout batch, in one currency
+const payoutSchema = new Schema({
+  batchId: {
+    type: String,
+    required: true,
+  },
+  storeId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true,
+  },
+  // Sales, refunds and commission up to this date are included
+  periodEnd: {
+    type: Date,
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+  },
+  currency: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid'],
+    default: 'pending',
+  },
+  // Bank transfer or other reference of the payment to the vendor
+  reference: {
+    type: String,
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  paidAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+payoutSchema.index({ batchId: 1 })
+payoutSchema.index({ storeId: 1, createdAt: -1 })
+
+const Payout = mongoose.model('Payout', payoutSchema)
+
+module.exports = Payout
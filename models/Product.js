@@ -1,5 +1,7 @@
 const mongoose = require('mongoose')
+const softDelete = require('../utils/softDelete')
 
+// A sellable variant: one size of one color
 const sizeSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -10,6 +12,39 @@ const sizeSchema = new mongoose.Schema({
     required: true,
     default: 0,
   },
+  // Unique within the store, generated from the product SKU when not given
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+  // Overrides the product price when set
+  price: {
+    type: Number,
+    default: null,
+    min: 0,
+  },
+  // Original price shown crossed out next to the price
+  compareAtPrice: {
+    type: Number,
+    default: null,
+    min: 0,
+  },
+  barcode: {
+    type: String,
+    trim: true,
+  },
+  // In grams
+  weight: {
+    type: Number,
+    min: 0,
+  },
+  images: [
+    {
+      original: String,
+      thumbnail: String,
+    },
+  ],
 })
 
 const colorSchema = new mongoose.Schema({
@@ -49,6 +84,21 @@ const productSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Only published products are shown to customers, and only between publishAt and unpublishAt
+  // when set, see utils/productStatus.js
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'archived'],
+    default: 'published',
+  },
+  publishAt: {
+    type: Date,
+    default: null,
+  },
+  unpublishAt: {
+    type: Date,
+    default: null,
+  },
   categories: [
     {
       type: mongoose.Schema.Types.ObjectId,
@@ -69,6 +119,45 @@ const productSchema = new mongoose.Schema({
     },
   ],
   colors: [colorSchema],
+  // Store managers get an email when a variant's stock drops to this quantity or below
+  lowStockThreshold: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Values for the attributes defined on the product's categories, see utils/attributes.js
+  attributes: [
+    {
+      _id: false,
+      key: {
+        type: String,
+        required: true,
+      },
+      value: mongoose.Schema.Types.Mixed,
+    },
+  ],
+  // Manual order of the product within each of its categories, keyed by category id. Set by
+  // reorderCategoryProducts and used by sort=position.
+  categoryPositions: {
+    type: Map,
+    of: Number,
+    default: {},
+  },
+  // Overrides the tax class of the product's categories
+  taxClassId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxClass',
+    default: null,
+  },
+  // Denormalized from approved reviews, see utils/reviews.js
+  ratingAverage: {
+    type: Number,
+    default: 0,
+  },
+  ratingCount: {
+    type: Number,
+    default: 0,
+  },
   // Add store reference
   storeId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -87,7 +176,31 @@ const productSchema = new mongoose.Schema({
 
 // Remove global unique index on SKU
 productSchema.index({ sku: 1, storeId: 1 }, { unique: true }) // SKU should be unique within a store
+// Variant SKUs are unique within a store too. Every variant gets a SKU before saving, so no
+// null keys end up in the index. Duplicates inside one product are checked by the controller.
+productSchema.index({ storeId: 1, 'colors.sizes.sku': 1 }, { unique: true, partialFilterExpression: { 'colors.sizes.sku': { $exists: true } } })
 productSchema.index({ name: 'text', description: 'text', sku: 'text' })
+productSchema.index({ storeId: 1, ratingAverage: -1 })
+productSchema.index({ storeId: 1, status: 1, publishAt: 1 })
+productSchema.index({ storeId: 1, 'attributes.key': 1, 'attributes.value': 1 })
+
+const skuPart = (name) =>
+  name
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '')
+    .substring(0, 10)
+
+// Default variant SKU, e.g. LABEL-1A2B-X9Y8-RED-XL
+const generateVariantSku = (productSku, colorName, sizeName) => `${productSku}-${skuPart(colorName)}-${skuPart(sizeName)}`
+
+productSchema.pre('validate', function (next) {
+  for (const color of this.colors) {
+    for (const size of color.sizes) {
+      if (!size.sku) size.sku = generateVariantSku(this.sku, color.name, size.name)
+    }
+  }
+  next()
+})
 
 // Update timestamp on save
 productSchema.pre('save', function (next) {
@@ -95,6 +208,9 @@ productSchema.pre('save', function (next) {
   next()
 })
 
+// Deleted products stay in the trash until purged, see utils/trash.js
+productSchema.plugin(softDelete)
+
 const Product = mongoose.model('Product', productSchema)
 
 module.exports = Product
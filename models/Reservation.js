@@ -0,0 +1,62 @@
+const mongoose = require('mongoose')
+const { Schema } = mongoose
+
+// Time limited hold on a color/size of a product while a customer is checking out
+const reservationSchema = new Schema({
+  storeId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true,
+  },
+  productId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  color: {
+    type: String,
+    required: true,
+  },
+  size: {
+    type: String,
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['active', 'released', 'consumed', 'expired'],
+    default: 'active',
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  orderId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+reservationSchema.index({ productId: 1, status: 1, expiresAt: 1 })
+reservationSchema.index({ userId: 1, storeId: 1, status: 1 })
+
+// Finished reservations are only kept for a week
+reservationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 })
+
+const Reservation = mongoose.model('Reservation', reservationSchema)
+
+module.exports = Reservation
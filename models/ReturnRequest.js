@@ -0,0 +1,121 @@
+const mongoose = require('mongoose')
+const { Schema } = mongoose
+
+// 'refunding' is held while the refund is with the payment provider, so it is only sent once
+const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'received', 'refunding', 'refunded']
+
+const returnItemSchema = new Schema({
+  // _id of the line item in order.items
+  orderItemId: {
+    type: Schema.Types.ObjectId,
+    required: true,
+  },
+  productId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+  },
+  name: String,
+  sku: String,
+  color: String,
+  size: String,
+  unitPrice: {
+    type: Number,
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+  },
+  restockedQuantity: {
+    type: Number,
+    default: 0,
+  },
+})
+
+const returnHistorySchema = new Schema({
+  status: {
+    type: String,
+    enum: RETURN_STATUSES,
+    required: true,
+  },
+  changedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  note: {
+    type: String,
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+const returnRequestSchema = new Schema({
+  rmaNumber: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  orderId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+  },
+  storeId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true,
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  items: [returnItemSchema],
+  reason: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: RETURN_STATUSES,
+    default: 'requested',
+  },
+  history: [returnHistorySchema],
+  // Amounts refunded, split like the order snapshot
+  refund: {
+    subtotal: Number,
+    tax: Number,
+    shipping: Number,
+    total: Number,
+    providerRefundId: String,
+    refundedAt: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+returnRequestSchema.index({ storeId: 1, status: 1, createdAt: -1 })
+returnRequestSchema.index({ orderId: 1 })
+returnRequestSchema.index({ userId: 1, createdAt: -1 })
+
+returnRequestSchema.pre('save', function (next) {
+  this.updatedAt = new Date()
+  next()
+})
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema)
+
+module.exports = ReturnRequest
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose')
+const { Schema } = mongoose
+
+const reviewSchema = new Schema({
+  storeId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true,
+  },
+  productId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // The delivered order the purchase was verified against
+  orderId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+  },
+  title: {
+    type: String,
+    trim: true,
+  },
+  comment: {
+    type: String,
+    trim: true,
+  },
+  images: [
+    {
+      original: String,
+      thumbnail: String,
+    },
+  ],
+  // Only approved reviews are public and count towards the product rating
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending',
+  },
+  moderatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  moderatedAt: {
+    type: Date,
+  },
+  moderationNote: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+// One review per customer and product
+reviewSchema.index({ productId: 1, userId: 1 }, { unique: true })
+reviewSchema.index({ productId: 1, status: 1, createdAt: -1 })
+reviewSchema.index({ storeId: 1, status: 1, createdAt: -1 })
+
+reviewSchema.pre('save', function (next) {
+  this.updatedAt = new Date()
+  next()
+})
+
+const Review = mongoose.model('Review', reviewSchema)
+
+module.exports = Review
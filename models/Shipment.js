@@ -0,0 +1,100 @@
+const mongoose = require('mongoose')
+const { Schema } = mongoose
+
+const SHIPMENT_STATUSES = ['label_created', 'in_transit', 'out_for_delivery', 'delivered', 'exception']
+
+const shipmentItemSchema = new Schema({
+  // _id of the line item in order.items
+  orderItemId: {
+    type: Schema.Types.ObjectId,
+    required: true,
+  },
+  productId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+  },
+  name: String,
+  sku: String,
+  color: String,
+  size: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+})
+
+const trackingEventSchema = new Schema({
+  status: {
+    type: String,
+    enum: SHIPMENT_STATUSES,
+    required: true,
+  },
+  description: {
+    type: String,
+  },
+  location: {
+    type: String,
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+const shipmentSchema = new Schema({
+  orderId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+  },
+  storeId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true,
+  },
+  items: [shipmentItemSchema],
+  carrier: {
+    type: String,
+    required: true,
+  },
+  serviceCode: {
+    type: String,
+  },
+  trackingNumber: {
+    type: String,
+  },
+  labelUrl: {
+    type: String,
+  },
+  status: {
+    type: String,
+    enum: SHIPMENT_STATUSES,
+    default: 'label_created',
+  },
+  events: [trackingEventSchema],
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+shipmentSchema.index({ orderId: 1 })
+shipmentSchema.index({ storeId: 1, createdAt: -1 })
+
+shipmentSchema.pre('save', function (next) {
+  this.updatedAt = new Date()
+  next()
+})
+
+const Shipment = mongoose.model('Shipment', shipmentSchema)
+
+module.exports = Shipment
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose')
 const { Schema } = mongoose
+const { CARRIER_NAMES } = require('../utils/carriers')
+const { TAX_MODES } = require('../utils/tax')
+const softDelete = require('../utils/softDelete')
 
 const storeSchema = new Schema({
   name: {
@@ -41,14 +44,34 @@ const storeSchema = new Schema({
       type: String,
       default: 'USD',
     },
+    // Rate for products without a tax class
     taxRate: {
       type: Number,
       default: 0,
     },
+    // Whether product prices include tax or tax is added on top
+    taxMode: {
+      type: String,
+      enum: TAX_MODES,
+      default: 'exclusive',
+    },
     shippingFee: {
       type: Number,
       default: 0,
     },
+    // 'flat' charges shippingFee, any other value quotes live rates from that carrier
+    shippingCarrier: {
+      type: String,
+      enum: CARRIER_NAMES,
+      default: 'flat',
+    },
+  },
+  // Share of the item subtotal the platform keeps on every sale, set by superadmins only
+  commissionRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 1,
   },
   isActive: {
     type: Boolean,
@@ -87,6 +110,9 @@ storeSchema.pre('save', function (next) {
   next()
 })
 
+// Deleted stores stay in the trash until purged, see utils/trash.js
+storeSchema.plugin(softDelete)
+
 const Store = mongoose.model('Store', storeSchema)
 
 module.exports = Store
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose')
+const { Schema } = mongoose
+
+// Rate for a destination. A rule without state applies to the whole country.
+const taxRuleSchema = new Schema(
+  {
+    country: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    state: {
+      type: String,
+      trim: true,
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 1,
+    },
+  },
+  { _id: false }
+)
+
+// A named tax class of a store, e.g. "Hot food" or "Children's clothing"
+const taxClassSchema = new Schema({
+  storeId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+  },
+  // Used when no rule matches the shipping address
+  defaultRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 1,
+  },
+  rules: [taxRuleSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+taxClassSchema.index({ name: 1, storeId: 1 }, { unique: true })
+
+taxClassSchema.pre('save', function (next) {
+  this.updatedAt = new Date()
+  next()
+})
+
+const TaxClass = mongoose.model('TaxClass', taxClassSchema)
+
+module.exports = TaxClass
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose')
+const { Schema } = mongoose
+
+const wishlistItemSchema = new Schema({
+  productId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  storeId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true,
+  },
+  // Kept so the item can still be shown after the store deletes the product
+  name: String,
+  image: String,
+  addedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+// A customer has a single wishlist holding products from any store
+const wishlistSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true,
+  },
+  items: [wishlistItemSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+wishlistSchema.pre('save', function (next) {
+  this.updatedAt = new Date()
+  next()
+})
+
+const Wishlist = mongoose.model('Wishlist', wishlistSchema)
+
+module.exports = Wishlist
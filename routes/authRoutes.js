@@ -4,6 +4,11 @@ const auth = require('../middleware/auth')
 const validateStore = require('../middleware/validateStore')
 const { authorizeStore } = require('../middleware/storeAuthorization')
 const { register, login, forgotPassword, verifyOTP, resetPassword, showMe, updateProfile, addAddress, deleteAddress, getUser } = require('../controllers/authController')
+const { getMyOrders, getMyOrderById, cancelMyOrder } = require('../controllers/orderController')
+const { getOrderTracking } = require('../controllers/shipmentController')
+const { getMyOrderInvoice } = require('../controllers/invoiceController')
+const { createReturnRequest, getMyReturns } = require('../controllers/returnController')
+const { getWishlist, addWishlistItem, removeWishlistItem, clearWishlist } = require('../controllers/wishlistController')
 
 // Public routes
 router.post('/register', register)
@@ -19,6 +24,21 @@ router.put('/updateprofile', auth, updateProfile)
 router.post('/addresses', auth, addAddress)
 router.delete('/addresses/:id', auth, deleteAddress)
 
+// Customer order tracking
+router.get('/orders', auth, getMyOrders)
+router.get('/orders/:id', auth, getMyOrderById)
+router.post('/orders/:id/cancel', auth, cancelMyOrder)
+router.get('/orders/:id/tracking', auth, getOrderTracking)
+router.get('/orders/:id/invoice', auth, getMyOrderInvoice)
+router.post('/orders/:id/returns', auth, createReturnRequest)
+router.get('/returns', auth, getMyReturns)
+
+// Customer wishlist, shared across stores
+router.get('/wishlist', auth, getWishlist)
+router.post('/wishlist/items', auth, addWishlistItem)
+router.delete('/wishlist/items/:productId', auth, removeWishlistItem)
+router.delete('/wishlist', auth, clearWishlist)
+
 // Store-specific routes
 router.post('/store/register', auth, validateStore, authorizeStore(['store_admin']), register)
 
@@ -0,0 +1,24 @@
+const express = require('express')
+const router = express.Router()
+const multer = require('multer')
+const upload = multer({ storage: multer.memoryStorage() })
+const optionalAuth = require('../middleware/optionalAuth')
+const validateStore = require('../middleware/validateStore')
+const { getCart, addCartItem, updateCartItem, removeCartItem, clearCart, applyCoupon, removeCoupon } = require('../controllers/cartController')
+
+// Store-specific cart routes, available to guests (x-cart-token header) and logged in users
+router.get('/', optionalAuth, upload.none(), validateStore, getCart)
+
+router.post('/items', optionalAuth, upload.none(), validateStore, addCartItem)
+
+router.put('/items', optionalAuth, upload.none(), validateStore, updateCartItem)
+
+router.delete('/items', optionalAuth, upload.none(), validateStore, removeCartItem)
+
+router.delete('/', optionalAuth, upload.none(), validateStore, clearCart)
+
+router.post('/coupon', optionalAuth, upload.none(), validateStore, applyCoupon)
+
+router.delete('/coupon', optionalAuth, upload.none(), validateStore, removeCoupon)
+
+module.exports = router
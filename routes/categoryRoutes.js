@@ -2,7 +2,18 @@ const express = require('express')
 const router = express.Router()
 const multer = require('multer')
 const upload = multer({ storage: multer.memoryStorage() })
-const { getCategories, getCategoryById, createCategory, updateCategory, deleteCategory, getSubcategoriesByCategory } = require('../controllers/categoryController')
+const {
+  getCategories,
+  getCategoryTree,
+  moveCategorySubtree,
+  getCategoryById,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  getSubcategoriesByCategory,
+  reorderCategories,
+  reorderCategoryProducts,
+} = require('../controllers/categoryController')
 const auth = require('../middleware/auth')
 const validateStore = require('../middleware/validateStore')
 const { authorizeStore } = require('../middleware/storeAuthorization')
@@ -10,6 +21,8 @@ const { authorizeStore } = require('../middleware/storeAuthorization')
 // Public store-specific routes (no auth required)
 router.get('/', upload.none(), validateStore, getCategories)
 
+router.get('/tree', upload.none(), validateStore, getCategoryTree)
+
 router.get('/:id', upload.none(), validateStore, getCategoryById)
 
 router.get('/subcategories/:categoryId', upload.none(), validateStore, getSubcategoriesByCategory)
@@ -17,8 +30,14 @@ router.get('/subcategories/:categoryId', upload.none(), validateStore, getSubcat
 // Protected store-specific routes
 router.post('/', auth, upload.single('image'), validateStore, authorizeStore(['store_admin', 'store_manager']), createCategory)
 
+router.patch('/reorder', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager']), reorderCategories)
+
 router.put('/:id', auth, upload.single('image'), validateStore, authorizeStore(['store_admin', 'store_manager']), updateCategory)
 
+router.patch('/:id/move', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager']), moveCategorySubtree)
+
+router.patch('/:id/products/reorder', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager']), reorderCategoryProducts)
+
 router.delete('/:id', auth, upload.none(), validateStore, authorizeStore(['store_admin']), deleteCategory)
 
 module.exports = router
\ No newline at end of file
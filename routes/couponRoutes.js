@@ -0,0 +1,21 @@
+const express = require('express')
+const router = express.Router()
+const multer = require('multer')
+const upload = multer({ storage: multer.memoryStorage() })
+const auth = require('../middleware/auth')
+const validateStore = require('../middleware/validateStore')
+const { authorizeStore } = require('../middleware/storeAuthorization')
+const { getCoupons, getCouponById, createCoupon, updateCoupon, deleteCoupon } = require('../controllers/couponController')
+
+// Protected store-specific routes
+router.get('/', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager']), getCoupons)
+
+router.get('/:id', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager']), getCouponById)
+
+router.post('/', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager']), createCoupon)
+
+router.put('/:id', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager']), updateCoupon)
+
+router.delete('/:id', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager']), deleteCoupon)
+
+module.exports = router
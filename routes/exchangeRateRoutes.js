@@ -0,0 +1,15 @@
+const express = require('express')
+const router = express.Router()
+const auth = require('../middleware/auth')
+const authorizeRoles = require('../middleware/roleAuthorization')
+const { getExchangeRates, upsertExchangeRate, deleteExchangeRate } = require('../controllers/exchangeRateController')
+
+// Public routes
+router.get('/', getExchangeRates)
+
+// Marketplace operator routes
+router.put('/:currency', auth, authorizeRoles('superadmin'), upsertExchangeRate)
+
+router.delete('/:currency', auth, authorizeRoles('superadmin'), deleteExchangeRate)
+
+module.exports = router
@@ -0,0 +1,49 @@
+const express = require('express')
+const router = express.Router()
+const multer = require('multer')
+const upload = multer({ storage: multer.memoryStorage() })
+const auth = require('../middleware/auth')
+const validateStore = require('../middleware/validateStore')
+const { authorizeStore } = require('../middleware/storeAuthorization')
+const {
+  getShippingRates,
+  startCheckout,
+  cancelCheckout,
+  checkout,
+  startMarketplaceCheckout,
+  cancelMarketplaceCheckout,
+  marketplaceCheckout,
+  getMarketplaceOrderById,
+  getStoreOrders,
+  getStoreOrderById,
+  updateOrderStatus,
+} = require('../controllers/orderController')
+const { getStoreOrderInvoice } = require('../controllers/invoiceController')
+
+// Customer routes
+router.post('/shipping-rates', auth, upload.none(), validateStore, getShippingRates)
+
+router.post('/checkout/start', auth, upload.none(), validateStore, startCheckout)
+
+router.post('/checkout/cancel', auth, upload.none(), validateStore, cancelCheckout)
+
+router.post('/checkout', auth, upload.none(), validateStore, checkout)
+
+router.post('/marketplace/checkout/start', auth, upload.none(), startMarketplaceCheckout)
+
+router.post('/marketplace/checkout/cancel', auth, upload.none(), cancelMarketplaceCheckout)
+
+router.post('/marketplace/checkout', auth, upload.none(), marketplaceCheckout)
+
+router.get('/marketplace/:id', auth, getMarketplaceOrderById)
+
+// Store staff routes, scoped to the child orders of a single store
+router.get('/store', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager', 'store_staff']), getStoreOrders)
+
+router.get('/store/:id', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager', 'store_staff']), getStoreOrderById)
+
+router.get('/store/:id/invoice', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager', 'store_staff']), getStoreOrderInvoice)
+
+router.patch('/store/:id/status', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager', 'store_staff']), updateOrderStatus)
+
+module.exports = router
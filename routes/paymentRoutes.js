@@ -0,0 +1,16 @@
+const express = require('express')
+const router = express.Router()
+const auth = require('../middleware/auth')
+const { createPaymentIntent, handleWebhook, confirmFakePayment } = require('../controllers/paymentController')
+
+// Provider webhooks, authenticated by their signature. Needs req.rawBody, see express.json in server.js
+router.post('/webhook/:provider', handleWebhook)
+
+// Customer routes
+router.post('/intents', auth, createPaymentIntent)
+
+if (process.env.NODE_ENV !== 'production') {
+  router.post('/fake/:id/confirm', auth, confirmFakePayment)
+}
+
+module.exports = router
@@ -0,0 +1,14 @@
+const express = require('express')
+const router = express.Router()
+const auth = require('../middleware/auth')
+const authorizeRoles = require('../middleware/roleAuthorization')
+const { generatePayoutBatch, getPayouts, markPayoutPaid } = require('../controllers/payoutController')
+
+// Marketplace operator routes
+router.get('/', auth, authorizeRoles('superadmin'), getPayouts)
+
+router.post('/batches', auth, authorizeRoles('superadmin'), generatePayoutBatch)
+
+router.patch('/:id/paid', auth, authorizeRoles('superadmin'), markPayoutPaid)
+
+module.exports = router
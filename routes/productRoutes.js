@@ -2,16 +2,44 @@ const express = require('express')
 const router = express.Router()
 const multer = require('multer')
 const upload = multer({ storage: multer.memoryStorage() })
+const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 50 * 1024 * 1024 } })
 const auth = require('../middleware/auth')
 const validateStore = require('../middleware/validateStore')
 const { authorizeStore } = require('../middleware/storeAuthorization')
-const { getProducts, getProductById, createProduct, updateProduct, deleteProduct, deleteProductImage } = require('../controllers/productController')
+const { getProducts, getStoreProducts, getProductById, getStoreProductById, createProduct, updateProduct, deleteProduct, deleteProductImage } = require('../controllers/productController')
+const { getProductReviews, createReview, deleteMyReview } = require('../controllers/reviewController')
+const { adjustProductStock, getStockMovements } = require('../controllers/inventoryController')
+const { createImportJob, getImportJobs, getImportJob, exportProducts } = require('../controllers/productImportController')
 
 // Public store-specific routes
 router.get('/', upload.none(), validateStore, getProducts)
 
+// Products in every state for the store staff, registered before /:id
+router.get('/store', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager', 'store_staff']), getStoreProducts)
+
+router.get('/store/:id', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager', 'store_staff']), getStoreProductById)
+
+// Inventory audit trail of the whole store, registered before /:id
+router.get('/stock-movements', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager', 'store_staff']), getStockMovements)
+
+// Bulk import and export of the store catalog, registered before /:id
+router.get('/export', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager']), exportProducts)
+
+router.get('/imports', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager']), getImportJobs)
+
+router.get('/imports/:jobId', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager']), getImportJob)
+
+router.post('/imports', auth, importUpload.single('file'), validateStore, authorizeStore(['store_admin', 'store_manager']), createImportJob)
+
 router.get('/:id', upload.none(), validateStore, getProductById)
 
+router.get('/:id/reviews', upload.none(), validateStore, getProductReviews)
+
+// Customer routes, reviews are limited to verified purchasers
+router.post('/:id/reviews', auth, upload.array('images'), validateStore, createReview)
+
+router.delete('/:id/reviews', auth, upload.none(), validateStore, deleteMyReview)
+
 // Protected store-specific routes
 router.post('/', auth, upload.array('images'), validateStore, authorizeStore(['store_admin', 'store_manager']), createProduct)
 
@@ -19,6 +47,10 @@ router.put('/:id', auth, upload.array('images'), validateStore, authorizeStore([
 
 router.delete('/:id', auth, upload.none(), validateStore, authorizeStore(['store_admin']), deleteProduct)
 
+router.post('/:id/stock', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager', 'store_staff']), adjustProductStock)
+
+router.get('/:id/stock-movements', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager', 'store_staff']), getStockMovements)
+
 router.delete('/images/:productId', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager']), deleteProductImage)
 
 module.exports = router
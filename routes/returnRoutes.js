@@ -0,0 +1,23 @@
+const express = require('express')
+const router = express.Router()
+const multer = require('multer')
+const upload = multer({ storage: multer.memoryStorage() })
+const auth = require('../middleware/auth')
+const validateStore = require('../middleware/validateStore')
+const { authorizeStore } = require('../middleware/storeAuthorization')
+const { getStoreReturns, getStoreReturnById, approveReturn, rejectReturn, receiveReturn, refundReturn } = require('../controllers/returnController')
+
+// Protected store-specific routes
+router.get('/', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager', 'store_staff']), getStoreReturns)
+
+router.get('/:id', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager', 'store_staff']), getStoreReturnById)
+
+router.patch('/:id/approve', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager']), approveReturn)
+
+router.patch('/:id/reject', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager']), rejectReturn)
+
+router.patch('/:id/receive', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager', 'store_staff']), receiveReturn)
+
+router.post('/:id/refund', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager']), refundReturn)
+
+module.exports = router
@@ -0,0 +1,19 @@
+const express = require('express')
+const router = express.Router()
+const multer = require('multer')
+const upload = multer({ storage: multer.memoryStorage() })
+const auth = require('../middleware/auth')
+const validateStore = require('../middleware/validateStore')
+const { authorizeStore } = require('../middleware/storeAuthorization')
+const { getStoreReviews, approveReview, rejectReview, deleteReview } = require('../controllers/reviewController')
+
+// Protected store-specific moderation routes
+router.get('/', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager', 'store_staff']), getStoreReviews)
+
+router.patch('/:id/approve', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager']), approveReview)
+
+router.patch('/:id/reject', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager']), rejectReview)
+
+router.delete('/:id', auth, upload.none(), validateStore, authorizeStore(['store_admin']), deleteReview)
+
+module.exports = router
@@ -0,0 +1,17 @@
+const express = require('express')
+const router = express.Router()
+const multer = require('multer')
+const upload = multer({ storage: multer.memoryStorage() })
+const auth = require('../middleware/auth')
+const validateStore = require('../middleware/validateStore')
+const { authorizeStore } = require('../middleware/storeAuthorization')
+const { createShipment, getShipments, addTrackingEvent } = require('../controllers/shipmentController')
+
+// Protected store-specific routes
+router.get('/', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager', 'store_staff']), getShipments)
+
+router.post('/', auth, upload.single('label'), validateStore, authorizeStore(['store_admin', 'store_manager', 'store_staff']), createShipment)
+
+router.post('/:id/events', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager', 'store_staff']), addTrackingEvent)
+
+module.exports = router
@@ -5,11 +5,17 @@ const upload = multer({ storage: multer.memoryStorage() })
 const auth = require('../middleware/auth')
 const validateStore = require('../middleware/validateStore')
 const { authorizeStore } = require('../middleware/storeAuthorization')
-const { createStore, updateStore, getStores, getStoreById, deleteStore, manageStaffRole, removeStaffRole, getStoreStaff } = require('../controllers/storeController')
+const { createStore, updateStore, getStores, getStoreById, deleteStore, manageStaffRole, removeStaffRole, getStoreStaff, updateStoreCommission } = require('../controllers/storeController')
+const { getStoreBalance, getStoreStatement } = require('../controllers/payoutController')
+const { getTrash, restoreTrashItem, deleteTrashItem, getDeletedStores, restoreStore } = require('../controllers/trashController')
 const authorizeRoles = require('../middleware/roleAuthorization')
 
 // Public routes
 router.get('/', getStores)
+
+// Deleted stores, registered before /:id
+router.get('/trash', auth, authorizeRoles('admin', 'superadmin'), getDeletedStores)
+
 router.get('/:id', getStoreById)
 
 // Protected routes
@@ -29,6 +35,15 @@ router.put(
 
 router.delete('/:id', auth, validateStore, authorizeStore(['store_admin']), deleteStore)
 
+router.patch('/:id/restore', auth, restoreStore)
+
+// Trash of deleted products and categories, type is products or categories
+router.get('/:storeId/trash/:type', auth, validateStore, authorizeStore(['store_admin']), getTrash)
+
+router.patch('/:storeId/trash/:type/:itemId/restore', auth, validateStore, authorizeStore(['store_admin']), restoreTrashItem)
+
+router.delete('/:storeId/trash/:type/:itemId', auth, validateStore, authorizeStore(['store_admin']), deleteTrashItem)
+
 // Staff management routes
 router.post('/:id/staff', auth, validateStore, authorizeStore(['store_admin']), manageStaffRole)
 
@@ -36,4 +51,11 @@ router.delete('/:id/staff/:userId', auth, validateStore, authorizeStore(['store_
 
 router.get('/:id/staff', auth, validateStore, authorizeStore(['store_admin', 'store_manager']), getStoreStaff)
 
+// Commission and payout routes
+router.put('/:id/commission', auth, authorizeRoles('superadmin'), updateStoreCommission)
+
+router.get('/:id/balance', auth, validateStore, authorizeStore(['store_admin']), getStoreBalance)
+
+router.get('/:id/statement', auth, validateStore, authorizeStore(['store_admin']), getStoreStatement)
+
 module.exports = router
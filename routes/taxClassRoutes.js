@@ -0,0 +1,21 @@
+const express = require('express')
+const router = express.Router()
+const multer = require('multer')
+const upload = multer({ storage: multer.memoryStorage() })
+const auth = require('../middleware/auth')
+const validateStore = require('../middleware/validateStore')
+const { authorizeStore } = require('../middleware/storeAuthorization')
+const { getTaxClasses, getTaxClassById, createTaxClass, updateTaxClass, deleteTaxClass } = require('../controllers/taxClassController')
+
+// Protected store-specific routes
+router.get('/', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager']), getTaxClasses)
+
+router.get('/:id', auth, upload.none(), validateStore, authorizeStore(['store_admin', 'store_manager']), getTaxClassById)
+
+router.post('/', auth, upload.none(), validateStore, authorizeStore(['store_admin']), createTaxClass)
+
+router.put('/:id', auth, upload.none(), validateStore, authorizeStore(['store_admin']), updateTaxClass)
+
+router.delete('/:id', auth, upload.none(), validateStore, authorizeStore(['store_admin']), deleteTaxClass)
+
+module.exports = router
@@ -0,0 +1,62 @@
+// Fills in ancestors and depth of the existing categories from their parentCategory.
+// Run once after deploying the category tree: node scripts/migrateCategoryTree.js
+require('dotenv').config()
+const mongoose = require('mongoose')
+const connectDB = require('../utils/db')
+const Category = require('../models/Category')
+
+const migrateCategoryTree = async () => {
+  await connectDB()
+
+  const categories = await Category.find().setOptions({ withDeleted: true }).select('parentCategory').lean()
+  const parentsById = new Map(categories.map((category) => [category._id.toString(), category.parentCategory?.toString()]))
+
+  let migrated = 0
+  let failed = 0
+
+  for (const category of categories) {
+    const id = category._id.toString()
+    const ancestors = []
+    let parentId = parentsById.get(id)
+    let broken = false
+
+    // Walk up to the top level category. A missing parent or a cycle leaves the category at the top.
+    while (parentId) {
+      if (!parentsById.has(parentId) || parentId === id || ancestors.includes(parentId)) {
+        broken = true
+        break
+      }
+      ancestors.unshift(parentId)
+      parentId = parentsById.get(parentId)
+    }
+
+    if (broken) {
+      failed++
+      console.error(`Category ${id} has a missing parent or a cycle, moved to the top level`)
+      ancestors.length = 0
+    }
+
+    await Category.updateOne(
+      { _id: category._id },
+      {
+        $set: {
+          ancestors,
+          depth: ancestors.length,
+          parentCategory: ancestors[ancestors.length - 1] || null,
+          isSubcategory: ancestors.length > 0,
+        },
+      }
+    ).setOptions({ withDeleted: true })
+    migrated++
+  }
+
+  console.log(`Migrated ${migrated} categories, ${failed} moved to the top level`)
+
+  await Category.createIndexes()
+  await mongoose.disconnect()
+}
+
+migrateCategoryTree().catch((error) => {
+  console.error('Category tree migration failed:', error)
+  process.exit(1)
+})
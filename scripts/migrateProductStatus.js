@@ -0,0 +1,25 @@
+// Marks every product created before product statuses existed as published, so the store
+// listings keep showing them. Run once after deploying: node scripts/migrateProductStatus.js
+require('dotenv').config()
+const mongoose = require('mongoose')
+const connectDB = require('../utils/db')
+const Product = require('../models/Product')
+
+const migrateProductStatus = async () => {
+  await connectDB()
+
+  const result = await Product.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: 'published', publishAt: null, unpublishAt: null } }
+  )
+
+  console.log(`Published ${result.modifiedCount} existing product(s)`)
+
+  await Product.createIndexes()
+  await mongoose.disconnect()
+}
+
+migrateProductStatus().catch((error) => {
+  console.error('Product status migration failed:', error)
+  process.exit(1)
+})
@@ -0,0 +1,40 @@
+// Gives every existing color/size variant a SKU and builds the variant SKU index.
+// Run once after deploying variants: node scripts/migrateVariants.js
+require('dotenv').config()
+const mongoose = require('mongoose')
+const connectDB = require('../utils/db')
+const Product = require('../models/Product')
+
+const migrateVariants = async () => {
+  await connectDB()
+
+  let migrated = 0
+  let failed = 0
+
+  const cursor = Product.find({ 'colors.sizes': { $elemMatch: { sku: { $exists: false } } } }).cursor()
+
+  for await (const product of cursor) {
+    try {
+      // The pre validate hook fills in the missing SKUs, the price override stays empty
+      await product.save()
+      migrated++
+    } catch (error) {
+      failed++
+      console.error(`Could not migrate product ${product._id} (${product.sku}):`, error.message)
+    }
+  }
+
+  console.log(`Migrated ${migrated} product(s), ${failed} failed`)
+
+  if (failed === 0) {
+    await Product.createIndexes()
+    console.log('Variant SKU index is in place')
+  }
+
+  await mongoose.disconnect()
+}
+
+migrateVariants().catch((error) => {
+  console.error('Variant migration failed:', error)
+  process.exit(1)
+})
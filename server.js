@@ -1,3 +1,5 @@
+// Load .env before any app module, some of them read their settings when they are loaded
+require('dotenv').config()
 const express = require('express')
 const helmet = require('helmet')
 const mongoSanitize = require('express-mongo-sanitize')
@@ -9,7 +11,9 @@ const compression = require('compression')
 const { v4: uuidv4 } = require('uuid')
 const mongoose = require('mongoose')
 const connectDB = require('./utils/db')
-require('dotenv').config()
+const { releaseExpiredReservations } = require('./utils/inventory')
+const { processImportJobs } = require('./utils/productImport')
+const { purgeExpiredTrash } = require('./utils/trash')
 
 // const client = require('prom-client')
 // const collectDefaultMetrics = client.collectDefaultMetrics
@@ -164,6 +168,8 @@ const limiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   keyGenerator: (req) => req.headers['x-forwarded-for'] || req.ip,
+  // Payment providers deliver webhooks in bursts from a few IPs
+  skip: (req) => req.originalUrl.startsWith('/api/payments/webhook'),
 })
 
 const authLimiter = rateLimit({
@@ -179,7 +185,7 @@ app.use(limiter)
 const corsOptions = {
   origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'x-store-id', 'x-correlation-id'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'x-store-id', 'x-correlation-id', 'x-cart-token'],
   exposedHeaders: ['X-Total-Count', 'X-Total-Pages'],
   credentials: true,
   maxAge: 86400,
@@ -187,7 +193,16 @@ const corsOptions = {
 app.use(cors(corsOptions))
 
 app.use(express.urlencoded({ extended: true })) 
-app.use(express.json())
+// Keep the raw body of payment webhooks, their signatures are computed over the exact bytes
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith('/api/payments/webhook')) {
+        req.rawBody = buf
+      }
+    },
+  })
+)
 app.use(compression())
 
 // app.use((req, res, next) => {
@@ -253,7 +268,16 @@ app.use('/api/auth', authLimiter, require('./routes/authRoutes'))
 app.use('/api/stores', require('./routes/storeRoutes'))
 app.use('/api/categories', require('./routes/categoryRoutes'))
 app.use('/api/products', require('./routes/productRoutes'))
-// app.use('/api/orders', require('./routes/orderRoutes'))
+app.use('/api/carts', require('./routes/cartRoutes'))
+app.use('/api/orders', require('./routes/orderRoutes'))
+app.use('/api/shipments', require('./routes/shipmentRoutes'))
+app.use('/api/payments', require('./routes/paymentRoutes'))
+app.use('/api/returns', require('./routes/returnRoutes'))
+app.use('/api/payouts', require('./routes/payoutRoutes'))
+app.use('/api/coupons', require('./routes/couponRoutes'))
+app.use('/api/reviews', require('./routes/reviewRoutes'))
+app.use('/api/tax-classes', require('./routes/taxClassRoutes'))
+app.use('/api/exchange-rates', require('./routes/exchangeRateRoutes'))
 
 app.get('/health', (_, res) => {
   const healthData = {
@@ -377,6 +401,32 @@ const startServer = async () => {
         MetricsUtil.resetMetrics()
       }
     }, 60 * 60 * 1000)
+
+    setInterval(async () => {
+      try {
+        const result = await releaseExpiredReservations()
+        if (result.modifiedCount > 0) {
+          logger.info('Expired reservations released', { count: result.modifiedCount })
+        }
+      } catch (err) {
+        logger.error('Releasing expired reservations failed:', { error: err })
+      }
+    }, 60 * 1000)
+
+    // Picks up product imports queued while no job was running, errors are logged by the job runner
+    processImportJobs()
+    setInterval(processImportJobs, 60 * 1000)
+
+    setInterval(async () => {
+      try {
+        const purged = await purgeExpiredTrash()
+        if (purged.stores + purged.categories + purged.products > 0) {
+          logger.info('Expired trash purged', purged)
+        }
+      } catch (err) {
+        logger.error('Purging expired trash failed:', { error: err })
+      }
+    }, 60 * 60 * 1000)
   } catch (err) {
     logger.error('Server startup failed:', { error: err })
     process.exit(1)
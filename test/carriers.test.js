@@ -0,0 +1,42 @@
+const { describe, it, afterEach, mock } = require('node:test')
+const assert = require('node:assert')
+const ExchangeRate = require('../models/ExchangeRate')
+const royalMail = require('../utils/carriers/royalMail')
+const { getShippingQuotes } = require('../utils/carriers')
+
+const store = (currency) => ({ settings: { currency, shippingFee: 3, shippingCarrier: 'royal_mail' } })
+
+const mockRates = () => {
+  mock.method(royalMail, 'getRates', async () => [{ serviceCode: 'TPN24', serviceName: 'Tracked 24', amount: 4, currency: 'GBP', estimatedDays: 1 }])
+}
+
+describe('getShippingQuotes', () => {
+  afterEach(() => mock.restoreAll())
+
+  it('keeps rates that are already in the store currency', async () => {
+    mockRates()
+
+    const [quote] = await getShippingQuotes(store('GBP'), {}, [])
+
+    assert.deepStrictEqual([quote.carrier, quote.amount, quote.currency], ['royal_mail', 4, 'GBP'])
+  })
+
+  it('converts carrier rates to the store currency', async () => {
+    mockRates()
+    mock.method(ExchangeRate, 'findOne', ({ currency }) => ({ lean: async () => ({ currency, rate: currency === 'GBP' ? 0.8 : 1.6, rounding: {} }) }))
+
+    const [quote] = await getShippingQuotes(store('EUR'), {}, [])
+
+    assert.deepStrictEqual([quote.amount, quote.currency], [8, 'EUR'])
+  })
+
+  it('falls back to the flat fee when the carrier currency has no exchange rate', async () => {
+    mockRates()
+    mock.method(ExchangeRate, 'findOne', () => ({ lean: async () => null }))
+    mock.method(console, 'error', () => {})
+
+    const [quote] = await getShippingQuotes(store('EUR'), {}, [])
+
+    assert.deepStrictEqual([quote.carrier, quote.amount, quote.currency], ['flat', 3, 'EUR'])
+  })
+})
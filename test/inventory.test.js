@@ -0,0 +1,59 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test')
+const assert = require('node:assert')
+const mongoose = require('mongoose')
+const Product = require('../models/Product')
+const InventoryMovement = require('../models/InventoryMovement')
+const { saveProductColors } = require('../utils/inventory')
+
+const colors = (quantities) => [{ name: 'Red', sizes: Object.entries(quantities).map(([name, quantity]) => ({ name, quantity })) }]
+
+describe('saveProductColors', () => {
+  let current
+
+  beforeEach(() => {
+    mock.method(mongoose, 'startSession', async () => ({ withTransaction: (callback) => callback(), endSession: () => {} }))
+    mock.method(Product, 'findById', () => ({ select: () => ({ session: () => ({ lean: async () => ({ colors: current }) }) }) }))
+    mock.method(InventoryMovement, 'create', async ([movement]) => [movement])
+  })
+
+  afterEach(() => mock.restoreAll())
+
+  const editProduct = (previous, edited) => {
+    const product = new Product({ name: 'Pizza', storeId: new mongoose.Types.ObjectId(), colors: previous })
+    const previousColors = product.colors.toObject()
+    product.colors = edited
+    mock.method(product, 'save', async () => product)
+    return { product, previousColors }
+  }
+
+  it('adds the edit to the stock sold since the product was read', async () => {
+    current = colors({ S: 3, M: 5 })
+    const { product, previousColors } = editProduct(colors({ S: 5, M: 5 }), colors({ S: 8, M: 5, L: 2 }))
+
+    const movements = await saveProductColors(product, previousColors, { reason: 'Product updated' })
+
+    assert.deepStrictEqual(
+      product.colors[0].sizes.map((size) => [size.name, size.quantity]),
+      [
+        ['S', 6],
+        ['M', 5],
+        ['L', 2],
+      ]
+    )
+    assert.deepStrictEqual(
+      movements.map((movement) => [movement.size, movement.change, movement.quantityAfter]),
+      [
+        ['S', 3, 6],
+        ['L', 2, 2],
+      ]
+    )
+  })
+
+  it('refuses an edit that takes the stock below zero', async () => {
+    current = colors({ S: 1 })
+    const { product, previousColors } = editProduct(colors({ S: 5 }), colors({ S: 2 }))
+
+    await assert.rejects(saveProductColors(product, previousColors, {}), { status: 409 })
+    assert.strictEqual(product.save.mock.callCount(), 0)
+  })
+})
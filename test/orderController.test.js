@@ -0,0 +1,98 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test')
+const assert = require('node:assert')
+const mongoose = require('mongoose')
+const Order = require('../models/Order')
+const MarketplaceOrder = require('../models/MarketplaceOrder')
+const Cart = require('../models/Cart')
+const Store = require('../models/Store')
+const User = require('../models/User')
+const cartUtils = require('../utils/cart')
+const inventory = require('../utils/inventory')
+const tax = require('../utils/tax')
+
+const storeId = new mongoose.Types.ObjectId()
+const productId = new mongoose.Types.ObjectId()
+
+const store = {
+  _id: storeId,
+  isActive: true,
+  settings: { currency: 'GBP', shippingFee: 4.5, shippingCarrier: 'flat', taxMode: 'exclusive' },
+}
+
+const line = { productId, name: 'Pizza', sku: 'PIZZA-1', color: 'Red', size: 'L', unitPrice: 10, quantity: 2, lineTotal: 20, isAvailable: true }
+
+const mockResponse = () => {
+  const res = { statusCode: 200, body: null }
+  res.status = (code) => {
+    res.statusCode = code
+    return res
+  }
+  res.json = (body) => {
+    res.body = body
+    return res
+  }
+  return res
+}
+
+describe('marketplaceCheckout', () => {
+  let marketplaceCheckout
+
+  // The controller destructures its helpers when it is loaded, so it is required again after mocking them
+  beforeEach(() => {
+    mock.method(cartUtils, 'priceCart', async () => ({ items: [line], coupon: null }))
+    mock.method(inventory, 'assertAvailable', async () => {})
+    mock.method(inventory, 'decrementStock', async () => [])
+    mock.method(inventory, 'consumeHolds', async () => {})
+    mock.method(inventory, 'sendLowStockAlerts', () => {})
+    mock.method(tax, 'calculateTax', async (items) => ({
+      taxMode: 'exclusive',
+      taxRate: 0,
+      taxLines: [],
+      tax: 0,
+      lineTaxes: items.map(() => ({ taxClassId: null, taxRate: 0, tax: 0 })),
+    }))
+
+    const address = { _id: 'address', line1: '1 High Street', city: 'London', country: 'GB' }
+    mock.method(User, 'findById', async () => ({ addresses: { id: () => ({ toObject: () => address }) } }))
+    mock.method(Cart, 'find', async () => [{ _id: new mongoose.Types.ObjectId(), storeId, items: [line] }])
+    mock.method(Cart, 'updateMany', async () => ({}))
+    mock.method(Store, 'find', async () => [store])
+    mock.method(Order, 'create', async ([order]) => [order])
+    mock.method(MarketplaceOrder, 'create', async ([order]) => [{ toObject: () => order }])
+    mock.method(mongoose, 'startSession', async () => ({ withTransaction: (callback) => callback(), endSession: () => {} }))
+
+    delete require.cache[require.resolve('../controllers/orderController')]
+    ;({ marketplaceCheckout } = require('../controllers/orderController'))
+  })
+
+  afterEach(() => mock.restoreAll())
+
+  const checkout = async (body) => {
+    const res = mockResponse()
+    await marketplaceCheckout({ user: { id: new mongoose.Types.ObjectId() }, body: { addressId: 'a'.repeat(24), ...body } }, res)
+    return res
+  }
+
+  it('places an order with the shipping service selected for each store', async () => {
+    const res = await checkout({ shippingServiceCodes: { [storeId.toString()]: 'flat' } })
+
+    assert.strictEqual(res.statusCode, 201, JSON.stringify(res.body))
+    assert.strictEqual(res.body.data.orders.length, 1)
+    assert.strictEqual(res.body.data.orders[0].shippingService, 'flat')
+    assert.strictEqual(res.body.data.orders[0].total, 24.5)
+  })
+
+  it('places an order with the cheapest shipping when no service is selected', async () => {
+    const res = await checkout({})
+
+    assert.strictEqual(res.statusCode, 201, JSON.stringify(res.body))
+    assert.strictEqual(res.body.data.orders[0].shippingFee, 4.5)
+  })
+
+  it('rejects a shipping service the store does not offer', async () => {
+    const res = await checkout({ shippingServiceCodes: { [storeId.toString()]: 'express' } })
+
+    assert.strictEqual(res.statusCode, 400)
+    assert.match(res.body.message, /express/)
+  })
+})
@@ -0,0 +1,112 @@
+const Category = require('../models/Category')
+
+const ATTRIBUTE_TYPES = ['text', 'number', 'boolean', 'select', 'multiselect']
+
+// Attribute definitions that apply to products in the given categories. Subcategories inherit
+// the definitions of every category above them. When two categories define the same key the
+// product's own categories win, then the closest ancestor.
+const getAttributeDefinitions = async (categoryIds, storeId) => {
+  const categories = await Category.find({ _id: { $in: categoryIds }, storeId }).select('attributes ancestors').lean()
+  const ancestorIds = categories.flatMap((category) => [...(category.ancestors || [])].reverse())
+  const ancestors = ancestorIds.length > 0 ? await Category.find({ _id: { $in: ancestorIds }, storeId }).select('attributes').lean() : []
+  const ancestorsById = new Map(ancestors.map((ancestor) => [ancestor._id.toString(), ancestor]))
+
+  const definitions = new Map()
+  for (const category of [...categories, ...ancestorIds.map((id) => ancestorsById.get(id.toString())).filter(Boolean)]) {
+    for (const definition of category.attributes || []) {
+      if (!definitions.has(definition.key)) definitions.set(definition.key, definition)
+    }
+  }
+
+  return definitions
+}
+
+// Cast a submitted value to the attribute type. Returns undefined when the value doesn't fit.
+const castValue = (definition, value) => {
+  switch (definition.type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(value)
+      return value === '' || Number.isNaN(number) ? undefined : number
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value
+      if (value === 'true' || value === 'false') return value === 'true'
+      return undefined
+    case 'select':
+      return definition.allowedValues.includes(String(value)) ? String(value) : undefined
+    case 'multiselect': {
+      const values = (Array.isArray(value) ? value : [value]).map(String)
+      return values.length > 0 && values.every((item) => definition.allowedValues.includes(item)) ? [...new Set(values)] : undefined
+    }
+    default:
+      return typeof value === 'string' || typeof value === 'number' ? String(value).trim().substring(0, 500) : undefined
+  }
+}
+
+// Check product attributes ({ key: value }) against the definitions of the product's categories
+// and return them as [{ key, value }] with typed values. Throws an error with status 400 listing
+// every problem.
+const validateProductAttributes = async (attributes, categoryIds, storeId) => {
+  const definitions = await getAttributeDefinitions(categoryIds, storeId)
+  const errors = []
+  const validated = []
+
+  for (const [key, value] of Object.entries(attributes || {})) {
+    const definition = definitions.get(key)
+
+    if (!definition) {
+      errors.push(`"${key}" is not an attribute of the product's categories`)
+      continue
+    }
+
+    if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) continue
+
+    const castedValue = castValue(definition, value)
+    if (castedValue === undefined) {
+      const expected = definition.allowedValues?.length > 0 ? `one of ${definition.allowedValues.join(', ')}` : `a ${definition.type}`
+      errors.push(`"${definition.label || key}" must be ${expected}`)
+      continue
+    }
+
+    validated.push({ key, value: castedValue })
+  }
+
+  for (const definition of definitions.values()) {
+    if (definition.required && !validated.some((attribute) => attribute.key === definition.key)) {
+      errors.push(`"${definition.label || definition.key}" is required`)
+    }
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(errors.join(', '))
+    error.status = 400
+    throw error
+  }
+
+  return validated
+}
+
+// Turn attr[key]=value query parameters into product filters. Comma separated values match any
+// of them, numbers and booleans also match their typed form.
+const buildAttributeFilters = (attr) => {
+  if (!attr || typeof attr !== 'object') return []
+
+  return Object.entries(attr)
+    .filter(([key, value]) => /^[a-z][a-z0-9_]*$/.test(key) && typeof value === 'string' && value !== '')
+    .map(([key, value]) => {
+      const values = value.split(',').flatMap((item) => {
+        const variants = [item]
+        if (item !== '' && !Number.isNaN(Number(item))) variants.push(Number(item))
+        if (item === 'true' || item === 'false') variants.push(item === 'true')
+        return variants
+      })
+
+      return { attributes: { $elemMatch: { key, value: { $in: values } } } }
+    })
+}
+
+module.exports = {
+  ATTRIBUTE_TYPES,
+  validateProductAttributes,
+  buildAttributeFilters,
+}
@@ -0,0 +1,96 @@
+const royalMail = require('./royalMail')
+const mockCarrier = require('./mockCarrier')
+const { createConverter } = require('../currency')
+
+// Every carrier implements:
+//   getRates({ from, to, items, currency }) -> [{ serviceCode, serviceName, amount, currency, estimatedDays }]
+//   createLabel({ from, to, items, serviceCode, reference }) -> { trackingNumber, label: { buffer, mimetype } }
+//   getTracking({ trackingNumber, createdAt }) -> [{ status, description, location, occurredAt }]
+const carriers = {
+  [royalMail.name]: royalMail,
+  [mockCarrier.name]: mockCarrier,
+}
+
+const CARRIER_NAMES = ['flat', ...Object.keys(carriers)]
+
+const getCarrier = (name) => {
+  const carrier = carriers[name]
+  if (!carrier) {
+    const error = new Error(`Unknown shipping carrier: ${name}`)
+    error.status = 400
+    throw error
+  }
+  return carrier
+}
+
+const flatRate = (store) => ({
+  carrier: 'flat',
+  serviceCode: 'flat',
+  serviceName: 'Standard shipping',
+  amount: store.settings.shippingFee || 0,
+  currency: store.settings.currency,
+})
+
+// Shipping options for a store order. Stores on the flat carrier (the default) always charge
+// settings.shippingFee. Carrier rates are converted to the store currency, e.g. Royal Mail
+// always quotes in GBP. When a live carrier cannot be reached, or its currency has no exchange
+// rate, we fall back to the flat fee rather than blocking checkout.
+const getShippingQuotes = async (store, shippingAddress, items) => {
+  const carrierName = store.settings.shippingCarrier || 'flat'
+  if (carrierName === 'flat') {
+    return [flatRate(store)]
+  }
+
+  try {
+    const rates = await getCarrier(carrierName).getRates({
+      from: store.address,
+      to: shippingAddress,
+      items,
+      currency: store.settings.currency,
+    })
+
+    if (rates.length === 0) {
+      return [flatRate(store)]
+    }
+
+    const currency = store.settings.currency
+    return await Promise.all(
+      rates.map(async (rate) => {
+        if (!rate.currency || rate.currency.toUpperCase() === currency.toUpperCase()) {
+          return { carrier: carrierName, ...rate, currency }
+        }
+
+        const convert = await createConverter(rate.currency, currency)
+        return { carrier: carrierName, ...rate, amount: convert(rate.amount), currency }
+      })
+    )
+  } catch (error) {
+    console.error(`Error getting ${carrierName} rates, falling back to flat shipping:`, error.message)
+    return [flatRate(store)]
+  }
+}
+
+// Pick the requested service, or the cheapest one when none is requested
+const selectShippingRate = async (store, shippingAddress, items, serviceCode) => {
+  const quotes = await getShippingQuotes(store, shippingAddress, items)
+
+  if (!serviceCode) {
+    return quotes.reduce((cheapest, quote) => (quote.amount < cheapest.amount ? quote : cheapest))
+  }
+
+  const quote = quotes.find((q) => q.serviceCode === serviceCode)
+  if (!quote) {
+    const error = new Error(`Shipping service ${serviceCode} is not available for this order`)
+    error.status = 400
+    throw error
+  }
+
+  return quote
+}
+
+module.exports = {
+  CARRIER_NAMES,
+  getCarrier,
+  getShippingQuotes,
+  selectShippingRate,
+}
@@ -0,0 +1,69 @@
+const crypto = require('crypto')
+const { roundMoney } = require('../money')
+
+// Tracking timeline relative to when the label was created
+const TRACKING_TIMELINE = [
+  { hoursAfter: 6, status: 'in_transit', description: 'Collected from sender', location: 'Mock Collection Point' },
+  { hoursAfter: 24, status: 'in_transit', description: 'Arrived at sorting hub', location: 'Mock Sorting Hub' },
+  { hoursAfter: 48, status: 'out_for_delivery', description: 'Out for delivery', location: 'Mock Local Depot' },
+  { hoursAfter: 56, status: 'delivered', description: 'Delivered', location: 'Recipient address' },
+]
+
+const SERVICES = [
+  { serviceCode: 'MOCK_STANDARD', serviceName: 'Mock Standard', multiplier: 1, estimatedDays: 3 },
+  { serviceCode: 'MOCK_EXPRESS', serviceName: 'Mock Express', multiplier: 2, estimatedDays: 1 },
+]
+
+// Local carrier for development and tests. Rates and tracking numbers only depend on
+// the input, so the same checkout always gets the same quote without any network calls.
+const mockCarrier = {
+  name: 'mock',
+
+  getRates: async ({ from, to, items, currency }) => {
+    const totalItems = items.reduce((sum, item) => sum + item.quantity, 0)
+    const isDomestic = !from?.country || !to?.country || from.country.toLowerCase() === to.country.toLowerCase()
+    const base = isDomestic ? 4.99 : 14.99
+    const perExtraItem = isDomestic ? 1 : 2.5
+
+    return SERVICES.map(({ multiplier, ...service }) => ({
+      ...service,
+      amount: roundMoney((base + perExtraItem * Math.max(0, totalItems - 1)) * multiplier),
+      currency,
+    }))
+  },
+
+  createLabel: async ({ to, items, serviceCode, reference }) => {
+    const hash = crypto
+      .createHash('sha1')
+      .update(`${reference}:${serviceCode}:${items.map((item) => `${item.sku}x${item.quantity}`).join(',')}`)
+      .digest('hex')
+    const trackingNumber = `MOCK${hash.substring(0, 12).toUpperCase()}`
+
+    const labelText = [
+      'MOCK CARRIER SHIPPING LABEL',
+      `Tracking: ${trackingNumber}`,
+      `Service: ${serviceCode}`,
+      `Ship to: ${[to.name, to.line1, to.line2, to.city, to.state, to.postal_code, to.country].filter(Boolean).join(', ')}`,
+      `Items: ${items.reduce((sum, item) => sum + item.quantity, 0)}`,
+    ].join('\n')
+
+    return {
+      trackingNumber,
+      label: {
+        buffer: Buffer.from(labelText),
+        mimetype: 'text/plain',
+      },
+    }
+  },
+
+  getTracking: async ({ createdAt }) => {
+    const shippedAt = new Date(createdAt).getTime()
+
+    return TRACKING_TIMELINE.map(({ hoursAfter, ...event }) => ({
+      ...event,
+      occurredAt: new Date(shippedAt + hoursAfter * 60 * 60 * 1000),
+    })).filter((event) => event.occurredAt <= new Date())
+  },
+}
+
+module.exports = mockCarrier
@@ -0,0 +1,56 @@
+const { getShippingRates, createShippingLabel, getTrackingEvents } = require('../royalMailAPI')
+
+const STATUS_MAP = {
+  ACCEPTED: 'in_transit',
+  IN_TRANSIT: 'in_transit',
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  DELIVERED: 'delivered',
+  EXCEPTION: 'exception',
+}
+
+// Royal Mail adapter, maps the API responses to the common carrier format
+const royalMail = {
+  name: 'royal_mail',
+
+  getRates: async ({ to }) => {
+    const data = await getShippingRates(to)
+    const rates = Array.isArray(data) ? data : data.rates || []
+
+    return rates.map((rate) => ({
+      serviceCode: rate.serviceCode || rate.code,
+      serviceName: rate.serviceName || rate.name,
+      amount: Number(rate.price ?? rate.amount),
+      currency: rate.currency || 'GBP',
+      estimatedDays: rate.estimatedDays ?? rate.deliveryDays,
+    }))
+  },
+
+  createLabel: async ({ to, items, serviceCode }) => {
+    const totalItems = items.reduce((sum, item) => sum + item.quantity, 0)
+    const data = await createShippingLabel(to, totalItems, serviceCode)
+
+    return {
+      trackingNumber: data.trackingNumber,
+      label: data.label
+        ? {
+            buffer: Buffer.from(data.label, 'base64'),
+            mimetype: data.labelFormat === 'PNG' ? 'image/png' : 'application/pdf',
+          }
+        : null,
+    }
+  },
+
+  getTracking: async ({ trackingNumber }) => {
+    const data = await getTrackingEvents(trackingNumber)
+    const events = Array.isArray(data) ? data : data.events || []
+
+    return events.map((event) => ({
+      status: STATUS_MAP[event.eventCode || event.status] || 'in_transit',
+      description: event.eventName || event.description,
+      location: event.locationName || event.location,
+      occurredAt: new Date(event.eventDateTime || event.occurredAt),
+    }))
+  },
+}
+
+module.exports = royalMail
@@ -0,0 +1,156 @@
+const Cart = require('../models/Cart')
+const Product = require('../models/Product')
+const { roundMoney } = require('./money')
+const { findCoupon, evaluateCoupon } = require('./coupons')
+const { visibleProductFilter } = require('./productStatus')
+
+// Find the size entry of a product for the given color and size names
+const findVariant = (product, colorName, sizeName) => {
+  const color = product.colors?.find((c) => c.name === colorName)
+  if (!color) return null
+
+  return color.sizes.find((s) => s.name === sizeName) || null
+}
+
+// Price of a variant, its own price when set, otherwise the product price
+const variantPrice = (product, variant) => {
+  return variant?.price ?? product.price
+}
+
+// Price every line of a cart with the current product prices and the store currency
+const priceCart = async (cart, store) => {
+  const items = cart?.items || []
+  // Products taken off the store since they were added show up as no longer available
+  const products = await Product.find({
+    _id: { $in: items.map((item) => item.productId) },
+    storeId: store._id,
+    ...visibleProductFilter(),
+  }).lean()
+
+  const productsById = new Map(products.map((product) => [product._id.toString(), product]))
+
+  let subtotal = 0
+  let itemCount = 0
+
+  const lines = items.map((item) => {
+    const product = productsById.get(item.productId.toString())
+    const variant = product ? findVariant(product, item.color, item.size) : null
+
+    const line = {
+      _id: item._id,
+      productId: item.productId,
+      color: item.color,
+      size: item.size,
+      quantity: item.quantity,
+      available: variant ? variant.quantity : 0,
+      isAvailable: !!variant && variant.quantity >= item.quantity,
+    }
+
+    if (!product) {
+      return { ...line, unitPrice: 0, lineTotal: 0, message: 'Product is no longer available' }
+    }
+
+    const unitPrice = variantPrice(product, variant)
+    const lineTotal = roundMoney(unitPrice * item.quantity)
+
+    subtotal += lineTotal
+    itemCount += item.quantity
+
+    return {
+      ...line,
+      name: product.name,
+      sku: variant?.sku || product.sku,
+      image: variant?.images?.[0]?.thumbnail || product.images?.[0]?.thumbnail,
+      compareAtPrice: variant?.compareAtPrice ?? null,
+      categories: product.categories,
+      unitPrice,
+      lineTotal,
+    }
+  })
+
+  // An invalid coupon stays on the cart with the reason, so the customer can see why it doesn't apply
+  let coupon = null
+  let couponError = null
+  if (cart?.couponCode) {
+    try {
+      const storeCoupon = await findCoupon(store._id, cart.couponCode)
+      coupon = await evaluateCoupon(storeCoupon, { lines: lines.filter((line) => line.name), userId: cart.userId })
+    } catch (error) {
+      if (!error.status) throw error
+      couponError = error.message
+    }
+  }
+
+  const discount = coupon ? coupon.discount : 0
+
+  return {
+    _id: cart?._id,
+    storeId: store._id,
+    guestToken: cart?.guestToken,
+    items: lines,
+    itemCount,
+    subtotal: roundMoney(subtotal),
+    couponCode: cart?.couponCode,
+    coupon,
+    couponError,
+    discount,
+    total: roundMoney(subtotal - discount),
+    currency: store.settings.currency,
+    updatedAt: cart?.updatedAt,
+  }
+}
+
+// Move guest carts into the user's carts, one store at a time
+const mergeGuestCarts = async (guestToken, userId) => {
+  const guestCarts = await Cart.find({ guestToken })
+
+  for (const guestCart of guestCarts) {
+    const userCart = await Cart.findOne({ storeId: guestCart.storeId, userId })
+
+    if (!userCart) {
+      guestCart.userId = userId
+      guestCart.guestToken = undefined
+      await guestCart.save()
+      continue
+    }
+
+    const products = await Product.find({
+      _id: { $in: guestCart.items.map((item) => item.productId) },
+    }).lean()
+    const productsById = new Map(products.map((product) => [product._id.toString(), product]))
+
+    for (const guestItem of guestCart.items) {
+      const product = productsById.get(guestItem.productId.toString())
+      const variant = product ? findVariant(product, guestItem.color, guestItem.size) : null
+      if (!variant) continue
+
+      const existingItem = userCart.items.find(
+        (item) => item.productId.toString() === guestItem.productId.toString() && item.color === guestItem.color && item.size === guestItem.size
+      )
+
+      // Never merge beyond what is in stock
+      const mergedQuantity = Math.min((existingItem?.quantity || 0) + guestItem.quantity, variant.quantity)
+
+      if (existingItem) {
+        existingItem.quantity = Math.max(existingItem.quantity, mergedQuantity)
+      } else if (mergedQuantity > 0) {
+        userCart.items.push({
+          productId: guestItem.productId,
+          color: guestItem.color,
+          size: guestItem.size,
+          quantity: mergedQuantity,
+        })
+      }
+    }
+
+    await userCart.save()
+    await guestCart.deleteOne()
+  }
+}
+
+module.exports = {
+  findVariant,
+  variantPrice,
+  priceCart,
+  mergeGuestCarts,
+}
@@ -0,0 +1,194 @@
+const mongoose = require('mongoose')
+const Category = require('../models/Category')
+const Product = require('../models/Product')
+
+// What happens to the products and subcategories of a deleted category
+const DELETE_POLICIES = ['block', 'reassign', 'detach']
+
+const treeError = (message, status = 400) => {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
+// Put a category document under parent, or at the top level when parent is null
+const setParent = (category, parent) => {
+  category.parentCategory = parent ? parent._id : null
+  category.ancestors = parent ? [...parent.ancestors, parent._id] : []
+  category.depth = category.ancestors.length
+  category.isSubcategory = !!parent
+}
+
+// Load the new parent of a category and make sure the move doesn't create a cycle.
+// category is null for a category that is being created.
+const findNewParent = async (parentId, storeId, category = null) => {
+  // Mongoose drops an undefined _id from the filter, which would match any category of the store
+  if (!parentId) {
+    throw treeError('Parent category is required')
+  }
+
+  const parent = await Category.findOne({ _id: parentId, storeId })
+  if (!parent) {
+    throw treeError('Parent category not found in this store')
+  }
+
+  if (category && (parent._id.equals(category._id) || parent.ancestors.some((id) => id.equals(category._id)))) {
+    throw treeError('A category cannot be moved under itself or one of its subcategories')
+  }
+
+  return parent
+}
+
+// After a category moved, its descendants keep the part of their ancestors from the category
+// down. Categories in the trash are included so they are in the right place when restored.
+const updateDescendants = (category, previousDepth, session) => {
+  return Category.updateMany(
+    { storeId: category.storeId, ancestors: category._id },
+    [
+      { $set: { ancestors: { $concatArrays: [category.ancestors, { $slice: ['$ancestors', previousDepth, { $size: '$ancestors' }] }] } } },
+      { $set: { depth: { $size: '$ancestors' } } },
+    ],
+    { session, withDeleted: true }
+  )
+}
+
+// Move a category with all its subcategories under parentId, or to the top level when parentId
+// is empty. The descendants' ancestors are rewritten in the same transaction.
+const moveCategory = async (category, parentId) => {
+  const parent = parentId ? await findNewParent(parentId, category.storeId, category) : null
+  const previousDepth = category.ancestors.length
+
+  setParent(category, parent)
+
+  const session = await mongoose.startSession()
+  try {
+    await session.withTransaction(async () => {
+      await category.save({ session })
+      await updateDescendants(category, previousDepth, session)
+    })
+  } finally {
+    session.endSession()
+  }
+
+  return category
+}
+
+// Take a category out of the tree: its subcategories move up one level, under its parent or to
+// the top level. Only _id and storeId of the category are used, so it can be a lean document.
+const removeFromTree = (category, session = null) => {
+  const ancestors = { $filter: { input: '$ancestors', cond: { $ne: ['$$this', category._id] } } }
+
+  return Category.updateMany(
+    { storeId: category.storeId, ancestors: category._id },
+    [
+      { $set: { ancestors } },
+      {
+        $set: {
+          depth: { $size: '$ancestors' },
+          parentCategory: { $ifNull: [{ $arrayElemAt: ['$ancestors', -1] }, null] },
+          isSubcategory: { $gt: [{ $size: '$ancestors' }, 0] },
+        },
+      },
+    ],
+    { session, withDeleted: true }
+  )
+}
+
+// Counts of what deleting a category affects. uncategorizedProducts are the products that
+// have no other category and are left without one when the category is detached.
+const getDeletionImpact = async (category) => {
+  const { _id, storeId } = category
+
+  const [products, uncategorizedProducts, subcategories, descendants] = await Promise.all([
+    Product.countDocuments({ storeId, categories: _id }),
+    Product.countDocuments({ storeId, categories: [_id] }),
+    Category.countDocuments({ storeId, parentCategory: _id }),
+    Category.countDocuments({ storeId, ancestors: _id }),
+  ])
+
+  return { products, uncategorizedProducts, subcategories, descendants }
+}
+
+// Soft delete a category in one transaction with its products and subcategories handled by
+// the policy:
+// - block: nothing else changes, the caller checks the category isn't in use
+// - reassign: products are filed under target instead, subcategories are moved under target
+// - detach: the category is taken off its products, subcategories move up one level
+// Products and subcategories in the trash are handled the same way.
+const deleteCategoryWithPolicy = async (category, { policy, target = null, userId }) => {
+  const { _id, storeId } = category
+
+  const session = await mongoose.startSession()
+  try {
+    await session.withTransaction(async () => {
+      if (policy === 'reassign') {
+        await Product.updateMany({ storeId, categories: _id }, { $addToSet: { categories: target._id } }, { session, withDeleted: true })
+
+        const children = await Category.find({ storeId, parentCategory: _id }).setOptions({ withDeleted: true }).session(session)
+        for (const child of children) {
+          const previousDepth = child.ancestors.length
+          setParent(child, target)
+          await child.save({ session })
+          await updateDescendants(child, previousDepth, session)
+        }
+      }
+
+      if (policy !== 'block') {
+        await Product.updateMany({ storeId, categories: _id }, { $pull: { categories: _id }, $unset: { [`categoryPositions.${_id}`]: '' } }, { session, withDeleted: true })
+        await removeFromTree(category, session)
+      }
+
+      category.deletedAt = new Date()
+      category.deletedBy = userId
+      await category.save({ session })
+    })
+  } finally {
+    session.endSession()
+  }
+
+  return category
+}
+
+// The given categories and every category below them
+const getDescendantIds = async (categoryIds, storeId) => {
+  return Category.find({ storeId, $or: [{ _id: { $in: categoryIds } }, { ancestors: { $in: categoryIds } }] }).distinct('_id')
+}
+
+// Nest a flat list of lean categories into a tree of children
+const buildTree = (categories) => {
+  const nodes = new Map(categories.map((category) => [category._id.toString(), { ...category, children: [] }]))
+  const roots = []
+
+  for (const node of nodes.values()) {
+    const parent = node.parentCategory && nodes.get(node.parentCategory.toString())
+    if (parent) parent.children.push(node)
+    else roots.push(node)
+  }
+
+  return roots
+}
+
+// Names from the top level category down to the category itself, e.g. Food > Pizza > Vegan
+const getBreadcrumbs = async (categoryId, storeId) => {
+  const category = await Category.findOne({ _id: categoryId, storeId }).select('name ancestors').lean()
+  if (!category) return []
+
+  const ancestorIds = category.ancestors || []
+  const ancestors = await Category.find({ _id: { $in: ancestorIds }, storeId }).select('name').lean()
+  const ancestorsById = new Map(ancestors.map((ancestor) => [ancestor._id.toString(), ancestor]))
+
+  return [...ancestorIds.map((id) => ancestorsById.get(id.toString())).filter(Boolean), category].map(({ _id, name }) => ({ _id, name }))
+}
+
+module.exports = {
+  DELETE_POLICIES,
+  setParent,
+  findNewParent,
+  moveCategory,
+  removeFromTree,
+  getDeletionImpact,
+  deleteCategoryWithPolicy,
+  getDescendantIds,
+  buildTree,
+  getBreadcrumbs,
+}
@@ -0,0 +1,102 @@
+const Coupon = require('../models/Coupon')
+const Order = require('../models/Order')
+
+const { roundMoney } = require('./money')
+
+const couponError = (message, status = 400) => {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
+const findCoupon = (storeId, code) => {
+  return Coupon.findOne({ storeId, code: code.trim().toUpperCase() })
+}
+
+const isEligibleLine = (coupon, line) => {
+  if (coupon.products.length === 0 && coupon.categories.length === 0) return true
+
+  if (coupon.products.some((productId) => productId.toString() === line.productId.toString())) return true
+
+  return coupon.categories.some((categoryId) => (line.categories || []).some((lineCategory) => lineCategory.toString() === categoryId.toString()))
+}
+
+// Check a coupon against priced cart lines ({ productId, categories, lineTotal }) and work out
+// the item discount. Throws an error with status 400 explaining why the coupon can't be used.
+const evaluateCoupon = async (coupon, { lines, userId }) => {
+  const now = new Date()
+
+  if (!coupon || !coupon.isActive) throw couponError('This coupon is not valid')
+  if (coupon.startsAt && coupon.startsAt > now) throw couponError('This coupon is not active yet')
+  if (coupon.endsAt && coupon.endsAt < now) throw couponError('This coupon has expired')
+
+  if (coupon.usageLimit !== null && coupon.usageCount >= coupon.usageLimit) {
+    throw couponError('This coupon has reached its usage limit')
+  }
+
+  if (coupon.perCustomerLimit !== null) {
+    if (!userId) throw couponError('Please log in to use this coupon')
+
+    const timesUsed = await Order.countDocuments({ 'coupon.couponId': coupon._id, userId, status: { $ne: 'cancelled' } })
+    if (timesUsed >= coupon.perCustomerLimit) {
+      throw couponError('You have already used this coupon')
+    }
+  }
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0))
+  if (subtotal < coupon.minSpend) {
+    throw couponError(`Spend at least ${coupon.minSpend} to use this coupon`)
+  }
+
+  const eligibleLines = lines.filter((line) => isEligibleLine(coupon, line))
+  if (eligibleLines.length === 0) {
+    throw couponError('This coupon does not apply to any item in your cart')
+  }
+
+  const eligibleSubtotal = roundMoney(eligibleLines.reduce((sum, line) => sum + line.lineTotal, 0))
+
+  let discount = 0
+  if (coupon.type === 'percentage') {
+    discount = roundMoney((eligibleSubtotal * coupon.value) / 100)
+    if (coupon.maxDiscount !== null) discount = Math.min(discount, coupon.maxDiscount)
+  } else if (coupon.type === 'fixed') {
+    discount = Math.min(coupon.value, eligibleSubtotal)
+  }
+
+  return {
+    couponId: coupon._id,
+    code: coupon.code,
+    type: coupon.type,
+    discount,
+    freeShipping: coupon.type === 'free_shipping',
+  }
+}
+
+// Count one use of the coupon. The update only matches while the coupon is under its
+// global limit, so concurrent checkouts can't go over it.
+const redeemCoupon = async (couponId, session) => {
+  const result = await Coupon.updateOne(
+    {
+      _id: couponId,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }],
+    },
+    { $inc: { usageCount: 1 } },
+    { session }
+  )
+
+  if (result.modifiedCount === 0) {
+    throw couponError('This coupon has reached its usage limit', 409)
+  }
+}
+
+// Give back the use of a coupon, e.g. when the order is cancelled
+const releaseCoupon = async (couponId, session) => {
+  return Coupon.updateOne({ _id: couponId, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } }, { session })
+}
+
+module.exports = {
+  findCoupon,
+  evaluateCoupon,
+  redeemCoupon,
+  releaseCoupon,
+}
@@ -0,0 +1,83 @@
+const ExchangeRate = require('../models/ExchangeRate')
+
+const getBaseCurrency = () => (process.env.EXCHANGE_BASE_CURRENCY || 'USD').toUpperCase()
+
+const currencyError = (message) => {
+  const error = new Error(message)
+  error.status = 400
+  return error
+}
+
+// Round to the configured increment, cleaning up floating point noise
+const roundToIncrement = (amount, { increment = 0.01, mode = 'nearest' } = {}) => {
+  if (!increment) return amount
+
+  const steps = amount / increment
+  const roundedSteps = mode === 'up' ? Math.ceil(steps - 1e-9) : mode === 'down' ? Math.floor(steps + 1e-9) : Math.round(steps)
+
+  return Number((roundedSteps * increment).toFixed(6))
+}
+
+// Rate entry of a currency, the base currency itself is always 1
+const findRate = async (currency) => {
+  if (currency === getBaseCurrency()) return { currency, rate: 1, rounding: {} }
+  return ExchangeRate.findOne({ currency }).lean()
+}
+
+// Build a function converting amounts from one currency to another display currency.
+// Throws an error with status 400 when either currency has no exchange rate.
+const createConverter = async (from, to) => {
+  const source = from.toUpperCase()
+  const target = to.toUpperCase()
+
+  if (!/^[A-Z]{3}$/.test(target)) throw currencyError('currency must be a 3 letter ISO 4217 code')
+
+  let rate = 1
+  let rounding = {}
+
+  if (source !== target) {
+    const [sourceRate, targetRate] = await Promise.all([findRate(source), findRate(target)])
+    if (!sourceRate) throw currencyError(`No exchange rate configured for ${source}`)
+    if (!targetRate) throw currencyError(`No exchange rate configured for ${target}`)
+
+    rate = targetRate.rate / sourceRate.rate
+    rounding = targetRate.rounding
+  }
+
+  const convert = (amount) => roundToIncrement(amount * rate, rounding)
+  convert.currency = target
+  convert.rate = rate
+
+  return convert
+}
+
+// Add converted display prices to products of a store. The stored price stays in the store's
+// base currency, which carts and checkout always settle in.
+const attachDisplayPrices = async (products, store, currency) => {
+  const convert = await createConverter(store.settings.currency, currency)
+  const list = Array.isArray(products) ? products : [products]
+
+  for (const product of list) {
+    product.currency = store.settings.currency
+    product.displayPrice = {
+      amount: convert(product.price),
+      currency: convert.currency,
+      rate: convert.rate,
+    }
+
+    for (const color of product.colors || []) {
+      for (const size of color.sizes || []) {
+        if (size.price !== null && size.price !== undefined) size.displayPrice = convert(size.price)
+        if (size.compareAtPrice !== null && size.compareAtPrice !== undefined) size.displayCompareAtPrice = convert(size.compareAtPrice)
+      }
+    }
+  }
+
+  return products
+}
+
+module.exports = {
+  getBaseCurrency,
+  createConverter,
+  attachDisplayPrices,
+}
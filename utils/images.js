@@ -0,0 +1,27 @@
+const { uploadToS3 } = require('./s3')
+const sharp = require('sharp')
+
+// Upload an image with a 400x400 thumbnail, returns the URLs of both
+const processAndUploadImage = async (image, storeId, pathPrefix = 'products') => {
+  const thumbnailBuffer = await sharp(image.buffer)
+    .resize(400, 400, {
+      fit: 'inside',
+      withoutEnlargement: true,
+    })
+    .toBuffer()
+
+  const sanitizedOriginalName = image.originalname.replace(/\s+/g, '')
+
+  const originalImageUrl = await uploadToS3(image, `${pathPrefix}/${storeId}/original/${Date.now()}_${sanitizedOriginalName}`)
+
+  const thumbnailImageUrl = await uploadToS3({ ...image, buffer: thumbnailBuffer }, `${pathPrefix}/${storeId}/thumbnails/${Date.now()}_thumb_${sanitizedOriginalName}`)
+
+  return {
+    original: originalImageUrl,
+    thumbnail: thumbnailImageUrl,
+  }
+}
+
+module.exports = {
+  processAndUploadImage,
+}
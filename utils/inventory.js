@@ -0,0 +1,381 @@
+const mongoose = require('mongoose')
+const Product = require('../models/Product')
+const Reservation = require('../models/Reservation')
+const InventoryMovement = require('../models/InventoryMovement')
+const Store = require('../models/Store')
+const User = require('../models/User')
+const sendEmail = require('./sendEmail')
+
+const RESERVATION_TTL_MINUTES = parseInt(process.env.RESERVATION_TTL_MINUTES || '15')
+
+const variantKey = (productId, color, size) => `${productId}:${color}:${size}`
+
+const MOVEMENT_PRODUCT_FIELDS = 'name storeId lowStockThreshold colors'
+
+const findSize = (product, colorName, sizeName) => {
+  return product.colors.find((c) => c.name === colorName)?.sizes.find((s) => s.name === sizeName)
+}
+
+// Log a stock change of a variant. The movement is flagged lowStock when it took the variant from
+// above the product's low stock threshold to at or below it.
+const logMovement = async (product, { color, size, change, quantityAfter, ...details }, session) => {
+  const threshold = product.lowStockThreshold || 0
+  const quantityBefore = quantityAfter - change
+  const variant = findSize(product, color, size)
+
+  const [movement] = await InventoryMovement.create(
+    [
+      {
+        ...details,
+        storeId: product.storeId,
+        productId: product._id,
+        color,
+        size,
+        sku: variant?.sku,
+        change,
+        quantityAfter,
+        // Variants removed from the product don't need restocking
+        lowStock: !!variant && change < 0 && quantityBefore > threshold && quantityAfter <= threshold,
+      },
+    ],
+    { session }
+  )
+
+  return movement
+}
+
+// Take ordered quantities out of stock. The update only matches while enough stock is left,
+// so two checkouts can never both take the last unit. Run inside a transaction session so a
+// failure part way through rolls back the earlier items. details ({ orderId, userId }) end up
+// on the logged sale movements, which are returned.
+const decrementStock = async (items, session, details = {}) => {
+  const movements = []
+
+  for (const item of items) {
+    const product = await Product.findOneAndUpdate(
+      {
+        _id: item.productId,
+        colors: {
+          $elemMatch: {
+            name: item.color,
+            sizes: { $elemMatch: { name: item.size, quantity: { $gte: item.quantity } } },
+          },
+        },
+      },
+      { $inc: { 'colors.$[color].sizes.$[size].quantity': -item.quantity } },
+      {
+        arrayFilters: [{ 'color.name': item.color }, { 'size.name': item.size }],
+        projection: MOVEMENT_PRODUCT_FIELDS,
+        new: true,
+        session,
+      }
+    )
+
+    if (!product) {
+      const error = new Error(`Not enough stock for ${item.name || 'product'} (${item.color} / ${item.size})`)
+      error.status = 409
+      throw error
+    }
+
+    const quantityAfter = findSize(product, item.color, item.size).quantity
+    movements.push(await logMovement(product, { type: 'sale', ...details, color: item.color, size: item.size, change: -item.quantity, quantityAfter }, session))
+  }
+
+  return movements
+}
+
+// Put quantities back into stock, e.g. when an order is cancelled (type cancellation) or a
+// return is received (type return). Variants deleted from the product in the meantime are skipped,
+// products in the trash are restocked so they are right when restored.
+const restockItems = async (items, session, details) => {
+  const movements = []
+
+  for (const item of items) {
+    const product = await Product.findOneAndUpdate(
+      { _id: item.productId, colors: { $elemMatch: { name: item.color, 'sizes.name': item.size } } },
+      { $inc: { 'colors.$[color].sizes.$[size].quantity': item.quantity } },
+      {
+        arrayFilters: [{ 'color.name': item.color }, { 'size.name': item.size }],
+        projection: MOVEMENT_PRODUCT_FIELDS,
+        new: true,
+        withDeleted: true,
+        session,
+      }
+    )
+    if (!product) continue
+
+    const quantityAfter = findSize(product, item.color, item.size).quantity
+    movements.push(await logMovement(product, { ...details, color: item.color, size: item.size, change: item.quantity, quantityAfter }, session))
+  }
+
+  return movements
+}
+
+// Manual stock change of one variant by store staff. An adjustment adds or removes quantity
+// (never below zero), a stock take sets the counted quantity.
+const adjustStock = async ({ product, color, size, type, quantity, reason, userId }, session) => {
+  const isStockTake = type === 'stock_take'
+  const sizeFilter = isStockTake || quantity >= 0 ? { name: size } : { name: size, quantity: { $gte: -quantity } }
+
+  const updated = await Product.findOneAndUpdate(
+    { _id: product._id, colors: { $elemMatch: { name: color, sizes: { $elemMatch: sizeFilter } } } },
+    isStockTake ? { $set: { 'colors.$[color].sizes.$[size].quantity': quantity } } : { $inc: { 'colors.$[color].sizes.$[size].quantity': quantity } },
+    {
+      arrayFilters: [{ 'color.name': color }, { 'size.name': size }],
+      projection: MOVEMENT_PRODUCT_FIELDS,
+      // A stock take needs the quantity before the count to know the change
+      new: !isStockTake,
+      session,
+    }
+  )
+
+  if (!updated) {
+    const error = new Error(findSize(product, color, size) ? 'Stock cannot go below zero' : `Size ${size} in color ${color} not found on this product`)
+    error.status = findSize(product, color, size) ? 409 : 404
+    throw error
+  }
+
+  const current = findSize(updated, color, size).quantity
+  const change = isStockTake ? quantity - current : quantity
+  const quantityAfter = isStockTake ? quantity : current
+
+  return logMovement(updated, { type, color, size, change, quantityAfter, reason, userId }, session)
+}
+
+// Log the stock changes made by editing a product's colors and sizes as adjustments.
+// previousColors are the colors before the edit.
+const logProductStockChanges = async (previousColors, product, { reason, userId }, session) => {
+  const movements = []
+  const variants = new Map()
+
+  for (const [colors, field] of [
+    [previousColors, 'before'],
+    [product.colors, 'after'],
+  ]) {
+    for (const color of colors) {
+      for (const size of color.sizes) {
+        const key = JSON.stringify([color.name, size.name])
+        variants.set(key, { color: color.name, size: size.name, before: 0, after: 0, ...variants.get(key), [field]: size.quantity })
+      }
+    }
+  }
+
+  for (const { color, size, before, after } of variants.values()) {
+    if (after === before) continue
+    movements.push(await logMovement(product, { type: 'adjustment', color, size, change: after - before, quantityAfter: after, reason, userId }, session))
+  }
+
+  return movements
+}
+
+const quantitiesByVariant = (colors) => {
+  return new Map(colors.flatMap((color) => color.sizes.map((size) => [JSON.stringify([color.name, size.name]), size.quantity])))
+}
+
+// Save a product whose colors and sizes were edited and log the stock changes. previousColors are
+// the colors the edit was made against. Variants that are kept get the edit's change added to the
+// quantity they have now, so stock sold since the product was read isn't written back. The product
+// is read again inside the transaction, which is retried when its stock changes in between.
+const saveProductColors = async (product, previousColors, { reason, userId }) => {
+  const editedColors = product.colors.toObject()
+  const previousQuantities = quantitiesByVariant(previousColors)
+  const session = await mongoose.startSession()
+  let movements
+
+  try {
+    await session.withTransaction(async () => {
+      const current = await Product.findById(product._id).select('colors').session(session).lean()
+      const currentQuantities = quantitiesByVariant(current.colors)
+
+      product.colors = editedColors.map((color) => ({
+        ...color,
+        sizes: color.sizes.map((size) => {
+          const key = JSON.stringify([color.name, size.name])
+          if (!previousQuantities.has(key) || !currentQuantities.has(key)) return size
+
+          const quantity = currentQuantities.get(key) + size.quantity - previousQuantities.get(key)
+          if (quantity < 0) {
+            const error = new Error(`Stock of size ${size.name} in color ${color.name} cannot go below zero`)
+            error.status = 409
+            throw error
+          }
+          return { ...size, quantity }
+        }),
+      }))
+
+      await product.save({ session })
+      movements = await logProductStockChanges(current.colors, product, { reason, userId }, session)
+    })
+  } finally {
+    session.endSession()
+  }
+
+  return movements
+}
+
+// Email the managers of each store about variants that dropped to their low stock threshold.
+// Not awaited by callers, failures are only logged.
+const sendLowStockAlerts = async (movements) => {
+  try {
+    const lowStockMovements = movements.filter((movement) => movement.lowStock)
+    if (lowStockMovements.length === 0) return
+
+    const products = await Product.find({ _id: { $in: lowStockMovements.map((movement) => movement.productId) } })
+      .select('name lowStockThreshold')
+      .lean()
+    const productsById = new Map(products.map((product) => [product._id.toString(), product]))
+
+    const storeIds = [...new Set(lowStockMovements.map((movement) => movement.storeId.toString()))]
+
+    for (const storeId of storeIds) {
+      const store = await Store.findById(storeId).select('name').lean()
+      const managers = await User.find({ storeRoles: { $elemMatch: { storeId, role: 'store_manager' } } })
+        .select('email')
+        .lean()
+      if (managers.length === 0) continue
+
+      const lines = lowStockMovements
+        .filter((movement) => movement.storeId.toString() === storeId)
+        .map((movement) => {
+          const product = productsById.get(movement.productId.toString())
+          return `${product?.name || movement.productId} (${movement.color} / ${movement.size}${movement.sku ? `, ${movement.sku}` : ''}): ${movement.quantityAfter} left, threshold ${product?.lowStockThreshold ?? 0}`
+        })
+
+      await sendEmail({
+        to: managers.map((manager) => manager.email).join(','),
+        subject: `Low stock in ${store?.name || 'your store'}`,
+        text: `These products are running low:\n\n${lines.join('\n')}`,
+      })
+    }
+  } catch (error) {
+    console.error('Error sending low stock alerts:', error)
+  }
+}
+
+// Sum of the active, unexpired holds per product color/size. Holds of excludeUserId are left
+// out, so a customer's own holds don't count against them at checkout.
+const getReservedQuantities = async (productIds, excludeUserId) => {
+  const match = {
+    productId: { $in: productIds },
+    status: 'active',
+    expiresAt: { $gt: new Date() },
+  }
+  if (excludeUserId) match.userId = { $ne: excludeUserId }
+
+  const reserved = await Reservation.aggregate([
+    { $match: match },
+    { $group: { _id: { productId: '$productId', color: '$color', size: '$size' }, quantity: { $sum: '$quantity' } } },
+  ])
+
+  return new Map(reserved.map((r) => [variantKey(r._id.productId, r._id.color, r._id.size), r.quantity]))
+}
+
+// Add reserved and available (quantity - reserved) to every size of lean product documents
+const attachAvailability = async (products) => {
+  const list = Array.isArray(products) ? products : [products]
+  const reserved = await getReservedQuantities(list.map((product) => product._id))
+
+  for (const product of list) {
+    for (const color of product.colors || []) {
+      for (const size of color.sizes || []) {
+        size.reserved = reserved.get(variantKey(product._id, color.name, size.name)) || 0
+        size.available = Math.max(0, size.quantity - size.reserved)
+      }
+    }
+  }
+
+  return products
+}
+
+// Fail with a 409 when any item is no longer available once other customers' holds are taken into account
+const assertAvailable = async (items, userId) => {
+  const products = await Product.find({ _id: { $in: items.map((item) => item.productId) } }).lean()
+  const productsById = new Map(products.map((product) => [product._id.toString(), product]))
+  const reserved = await getReservedQuantities(products.map((product) => product._id), userId)
+
+  for (const item of items) {
+    const product = productsById.get(item.productId.toString())
+    const size = product?.colors.find((c) => c.name === item.color)?.sizes.find((s) => s.name === item.size)
+    const available = size ? size.quantity - (reserved.get(variantKey(item.productId, item.color, item.size)) || 0) : 0
+
+    if (available < item.quantity) {
+      const error = new Error(`${item.name || product?.name || 'A product'} (${item.color} / ${item.size}) is no longer available in the requested quantity`)
+      error.status = 409
+      throw error
+    }
+  }
+}
+
+// Place holds on the given items for a customer. Any previous active holds of the customer in
+// the store are released first, so restarting checkout never holds stock twice. Each hold is
+// created first and checked afterwards, so when two customers race for the last unit at least
+// one of them sees the other's hold and backs off.
+const placeHolds = async ({ storeId, userId, items }) => {
+  await releaseHolds({ storeId, userId })
+
+  const expiresAt = new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000)
+
+  const reservations = await Reservation.insertMany(
+    items.map((item) => ({
+      storeId,
+      userId,
+      productId: item.productId,
+      color: item.color,
+      size: item.size,
+      quantity: item.quantity,
+      expiresAt,
+    }))
+  )
+
+  try {
+    const products = await Product.find({ _id: { $in: items.map((item) => item.productId) } }).lean()
+    const productsById = new Map(products.map((product) => [product._id.toString(), product]))
+    const reserved = await getReservedQuantities(products.map((product) => product._id))
+
+    for (const item of items) {
+      const product = productsById.get(item.productId.toString())
+      const size = product?.colors.find((c) => c.name === item.color)?.sizes.find((s) => s.name === item.size)
+
+      if (!size || (reserved.get(variantKey(item.productId, item.color, item.size)) || 0) > size.quantity) {
+        const error = new Error(`${product?.name || 'A product'} (${item.color} / ${item.size}) is no longer available in the requested quantity`)
+        error.status = 409
+        throw error
+      }
+    }
+  } catch (error) {
+    await Reservation.updateMany({ _id: { $in: reservations.map((r) => r._id) } }, { $set: { status: 'released' } })
+    throw error
+  }
+
+  return reservations
+}
+
+const releaseHolds = async (query) => {
+  return Reservation.updateMany({ ...query, status: 'active' }, { $set: { status: 'released' } })
+}
+
+// Mark the customer's holds as turned into an order
+const consumeHolds = async ({ storeId, userId, orderId }, session) => {
+  return Reservation.updateMany({ storeId, userId, status: 'active' }, { $set: { status: 'consumed', orderId } }, { session })
+}
+
+// Called on an interval from server.js
+const releaseExpiredReservations = async () => {
+  return Reservation.updateMany({ status: 'active', expiresAt: { $lte: new Date() } }, { $set: { status: 'expired' } })
+}
+
+module.exports = {
+  decrementStock,
+  restockItems,
+  adjustStock,
+  logProductStockChanges,
+  saveProductColors,
+  sendLowStockAlerts,
+  getReservedQuantities,
+  attachAvailability,
+  assertAvailable,
+  placeHolds,
+  releaseHolds,
+  consumeHolds,
+  releaseExpiredReservations,
+}
@@ -0,0 +1,208 @@
+const mongoose = require('mongoose')
+const PDFDocument = require('pdfkit')
+const sharp = require('sharp')
+const Counter = require('../models/Counter')
+const Invoice = require('../models/Invoice')
+const Store = require('../models/Store')
+const { uploadToS3, getFromS3 } = require('./s3')
+
+const INVOICEABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded']
+
+// Amounts are written with the currency code, the built-in PDF fonts can't draw every currency symbol
+const formatMoney = (amount, currency) => `${currency} ${(amount || 0).toFixed(2)}`
+
+const formatAddress = (address = {}) => {
+  return [address.name, address.line1, address.line2, [address.city, address.state, address.postal_code].filter(Boolean).join(', '), address.country].filter(Boolean)
+}
+
+// Store logos may be webp or svg, PDFKit only embeds PNG and JPEG
+const loadLogo = async (url) => {
+  if (!url) return null
+
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(5000) })
+    if (!response.ok) return null
+
+    return await sharp(Buffer.from(await response.arrayBuffer()))
+      .resize(160, 80, { fit: 'inside', withoutEnlargement: true })
+      .png()
+      .toBuffer()
+  } catch (error) {
+    console.error('Error loading store logo for invoice:', error.message)
+    return null
+  }
+}
+
+const renderInvoicePdf = async ({ invoice, order, store }) => {
+  const logo = await loadLogo(store.logo)
+  const currency = order.currency || store.settings?.currency
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: {
+      Title: `Invoice ${invoice.invoiceNumber}`,
+      Author: store.name,
+      CreationDate: invoice.issuedAt,
+    },
+  })
+
+  const chunks = []
+  doc.on('data', (chunk) => chunks.push(chunk))
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)))
+    doc.on('error', reject)
+  })
+
+  // Header: store details on the left, invoice details on the right
+  if (logo) {
+    doc.image(logo, 50, 45, { fit: [160, 80] })
+  }
+
+  doc.fontSize(16).font('Helvetica-Bold').text(store.name, 50, logo ? 135 : 50)
+  doc.fontSize(9).font('Helvetica')
+  for (const line of formatAddress(store.address)) doc.text(line)
+  if (store.contact?.email) doc.text(store.contact.email)
+  if (store.contact?.phone) doc.text(store.contact.phone)
+
+  doc.fontSize(20).font('Helvetica-Bold').text('INVOICE', 350, 50, { width: 195, align: 'right' })
+  doc.fontSize(9).font('Helvetica')
+  doc.text(`Invoice number: ${invoice.invoiceNumber}`, 350, 80, { width: 195, align: 'right' })
+  doc.text(`Invoice date: ${invoice.issuedAt.toISOString().substring(0, 10)}`, { width: 195, align: 'right' })
+  doc.text(`Order number: ${order.orderNumber}`, { width: 195, align: 'right' })
+  doc.text(`Order date: ${order.createdAt.toISOString().substring(0, 10)}`, { width: 195, align: 'right' })
+
+  // Billing / shipping address
+  const addressTop = Math.max(doc.y, 200) + 20
+  doc.fontSize(10).font('Helvetica-Bold').text('Ship to', 50, addressTop)
+  doc.fontSize(9).font('Helvetica')
+  for (const line of formatAddress(order.shippingAddress)) doc.text(line)
+
+  // Line items
+  const columns = { item: 50, sku: 250, quantity: 340, unitPrice: 390, total: 470 }
+  let y = doc.y + 25
+
+  doc.fontSize(9).font('Helvetica-Bold')
+  doc.text('Item', columns.item, y)
+  doc.text('SKU', columns.sku, y)
+  doc.text('Qty', columns.quantity, y, { width: 40, align: 'right' })
+  doc.text('Unit price', columns.unitPrice, y, { width: 75, align: 'right' })
+  doc.text('Total', columns.total, y, { width: 75, align: 'right' })
+  y += 15
+  doc.moveTo(50, y).lineTo(545, y).stroke()
+  y += 8
+
+  doc.font('Helvetica')
+  for (const item of order.items) {
+    if (y > 720) {
+      doc.addPage()
+      y = 50
+    }
+
+    doc.text(`${item.name} (${item.color} / ${item.size})`, columns.item, y, { width: 195 })
+    const rowHeight = doc.y - y
+    doc.text(item.sku, columns.sku, y, { width: 85 })
+    doc.text(String(item.quantity), columns.quantity, y, { width: 40, align: 'right' })
+    doc.text(formatMoney(item.unitPrice, currency), columns.unitPrice, y, { width: 75, align: 'right' })
+    doc.text(formatMoney(item.lineTotal, currency), columns.total, y, { width: 75, align: 'right' })
+    y += Math.max(rowHeight, 12) + 6
+  }
+
+  doc.moveTo(50, y).lineTo(545, y).stroke()
+  y += 10
+
+  // Totals with the tax breakdown per rate. Orders placed before tax classes have a single rate.
+  const inclusive = order.taxMode === 'inclusive'
+  const formatRate = (rate) => `${Math.round((rate || 0) * 10000) / 100}%`
+  const taxLines = order.taxLines?.length > 0 ? order.taxLines : [{ name: 'Tax', rate: order.taxRate, taxable: order.subtotal - (order.discount || 0), tax: order.tax }]
+
+  const totals = [['Subtotal', order.subtotal]]
+  if (order.discount > 0) {
+    totals.push([`Discount${order.coupon?.code ? ` (${order.coupon.code})` : ''}`, -order.discount])
+  }
+  for (const taxLine of taxLines) {
+    totals.push([`${inclusive ? 'Incl. ' : ''}${taxLine.name} ${formatRate(taxLine.rate)} on ${formatMoney(taxLine.taxable, currency)}`, taxLine.tax])
+  }
+  totals.push(['Shipping', order.shippingFee])
+
+  if (y + (totals.length + 1) * 15 > 780) {
+    doc.addPage()
+    y = 50
+  }
+
+  for (const [label, amount] of totals) {
+    doc.text(label, 200, y, { width: 265, align: 'right' })
+    doc.text(formatMoney(amount, currency), columns.total, y, { width: 75, align: 'right' })
+    y += 15
+  }
+
+  doc.font('Helvetica-Bold')
+  doc.text('Total', 200, y, { width: 265, align: 'right' })
+  doc.text(formatMoney(order.total, currency), columns.total, y, { width: 75, align: 'right' })
+
+  doc.end()
+  return finished
+}
+
+// Give the order the next invoice number of its store. The number is taken in the same transaction
+// that creates the invoice, so a failed or concurrent attempt never leaves a gap in the sequence.
+const issueInvoice = async (order) => {
+  const session = await mongoose.startSession()
+
+  try {
+    let invoice
+    await session.withTransaction(async () => {
+      const counter = await Counter.findOneAndUpdate({ _id: `invoice:${order.storeId}` }, { $inc: { seq: 1 } }, { new: true, upsert: true, session })
+
+      ;[invoice] = await Invoice.create(
+        [
+          {
+            invoiceNumber: `INV-${String(counter.seq).padStart(6, '0')}`,
+            sequence: counter.seq,
+            storeId: order.storeId,
+            orderId: order._id,
+            userId: order.userId,
+          },
+        ],
+        { session }
+      )
+    })
+
+    return invoice
+  } catch (error) {
+    // Someone else issued the invoice first
+    if (error.code === 11000) return Invoice.findOne({ orderId: order._id })
+    throw error
+  } finally {
+    session.endSession()
+  }
+}
+
+// The invoice PDF of an order. It is rendered once and archived, later downloads return the stored file.
+const getInvoicePdf = async (order) => {
+  if (!INVOICEABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    const error = new Error('An invoice is available once the order has been paid')
+    error.status = 409
+    throw error
+  }
+
+  const invoice = (await Invoice.findOne({ orderId: order._id })) || (await issueInvoice(order))
+
+  if (invoice.fileKey) {
+    return { invoice, pdf: await getFromS3(invoice.fileKey) }
+  }
+
+  const store = await Store.findById(order.storeId).select('name logo address contact settings.currency').lean()
+  const pdf = await renderInvoicePdf({ invoice, order, store })
+  const fileKey = `invoices/${order.storeId}/${invoice.invoiceNumber}.pdf`
+
+  invoice.url = await uploadToS3({ buffer: pdf, mimetype: 'application/pdf' }, fileKey)
+  invoice.fileKey = fileKey
+  await invoice.save()
+
+  return { invoice, pdf }
+}
+
+module.exports = {
+  getInvoicePdf,
+}
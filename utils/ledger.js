@@ -0,0 +1,190 @@
+const mongoose = require('mongoose')
+const LedgerEntry = require('../models/LedgerEntry')
+const Store = require('../models/Store')
+const { roundMoney } = require('./money')
+const { v4: uuidv4 } = require('uuid')
+
+// Write a balanced set of entries as one transaction
+const postTransaction = async ({ type, storeId, currency, orderId, payoutId, description, entries }, session) => {
+  const totalDebit = roundMoney(entries.reduce((sum, entry) => sum + (entry.debit || 0), 0))
+  const totalCredit = roundMoney(entries.reduce((sum, entry) => sum + (entry.credit || 0), 0))
+
+  if (totalDebit !== totalCredit) {
+    throw new Error(`Unbalanced ledger transaction: debit ${totalDebit}, credit ${totalCredit}`)
+  }
+
+  const transactionId = uuidv4()
+
+  return LedgerEntry.insertMany(
+    entries.map((entry) => ({
+      transactionId,
+      type,
+      storeId,
+      currency,
+      orderId,
+      payoutId,
+      description,
+      account: entry.account,
+      debit: roundMoney(entry.debit || 0),
+      credit: roundMoney(entry.credit || 0),
+    })),
+    { session }
+  )
+}
+
+// The customer paid for an order: the platform holds the money and owes it to the store,
+// minus the platform commission on the discounted item subtotal net of tax. The sale and the
+// commission are posted in one transaction, so a retry never finds one without the other.
+const recordSale = async (order) => {
+  const store = await Store.findById(order.storeId).select('commissionRate').lean()
+  const commissionRate = store?.commissionRate || 0
+  const includedTax = order.taxMode === 'inclusive' ? order.tax : 0
+  const commission = roundMoney((order.subtotal - (order.discount || 0) - includedTax) * commissionRate)
+
+  const base = { storeId: order.storeId, currency: order.currency, orderId: order._id }
+
+  const session = await mongoose.startSession()
+  try {
+    await session.withTransaction(async () => {
+      const alreadyRecorded = await LedgerEntry.exists({ orderId: order._id, type: 'sale' }).session(session)
+      if (alreadyRecorded) return
+
+      await postTransaction(
+        {
+          ...base,
+          type: 'sale',
+          description: `Sale ${order.orderNumber}`,
+          entries: [
+            { account: 'platform_cash', debit: order.total },
+            { account: 'vendor_payable', credit: order.total },
+          ],
+        },
+        session
+      )
+
+      if (commission > 0) {
+        await postTransaction(
+          {
+            ...base,
+            type: 'commission',
+            description: `Commission ${commissionRate * 100}% on ${order.orderNumber}`,
+            entries: [
+              { account: 'vendor_payable', debit: commission },
+              { account: 'platform_revenue', credit: commission },
+            ],
+          },
+          session
+        )
+      }
+
+      order.commissionRate = commissionRate
+      order.commission = commission
+      await order.save({ session })
+    })
+  } finally {
+    session.endSession()
+  }
+}
+
+// Money went back to the customer. The store carries the refund and gets back the
+// commission charged on the refunded items.
+const recordRefund = async (order, { total, subtotal }) => {
+  const base = { storeId: order.storeId, currency: order.currency, orderId: order._id }
+
+  await postTransaction({
+    ...base,
+    type: 'refund',
+    description: `Refund on ${order.orderNumber}`,
+    entries: [
+      { account: 'vendor_payable', debit: total },
+      { account: 'platform_cash', credit: total },
+    ],
+  })
+
+  const commissionReversal = roundMoney(subtotal * (order.commissionRate || 0))
+  if (commissionReversal > 0) {
+    await postTransaction({
+      ...base,
+      type: 'commission_reversal',
+      description: `Commission reversal on ${order.orderNumber}`,
+      entries: [
+        { account: 'platform_revenue', debit: commissionReversal },
+        { account: 'vendor_payable', credit: commissionReversal },
+      ],
+    })
+  }
+}
+
+// A payout was scheduled: the amount moves from what the platform owes the store to payouts in progress
+const recordPayout = async (payout, session) => {
+  return postTransaction(
+    {
+      type: 'payout',
+      storeId: payout.storeId,
+      currency: payout.currency,
+      payoutId: payout._id,
+      description: `Payout batch ${payout.batchId}`,
+      entries: [
+        { account: 'vendor_payable', debit: payout.amount },
+        { account: 'payouts_payable', credit: payout.amount },
+      ],
+    },
+    session
+  )
+}
+
+// The payout money left the platform
+const recordPayoutSettlement = async (payout, session) => {
+  return postTransaction(
+    {
+      type: 'payout_settlement',
+      storeId: payout.storeId,
+      currency: payout.currency,
+      payoutId: payout._id,
+      description: `Payout ${payout.reference || payout.batchId} sent`,
+      entries: [
+        { account: 'payouts_payable', debit: payout.amount },
+        { account: 'platform_cash', credit: payout.amount },
+      ],
+    },
+    session
+  )
+}
+
+// What the platform owes each store, per currency, optionally up to a date. With allPayouts
+// the payouts made after the date are subtracted too, so a payout batch doesn't pay the same
+// money twice when it is run again for a period that was already paid out.
+const getVendorBalances = async ({ storeId, until, allPayouts = false, session = null } = {}) => {
+  const match = { account: 'vendor_payable' }
+  if (storeId) match.storeId = storeId
+  if (until) {
+    if (allPayouts) match.$or = [{ createdAt: { $lt: until } }, { type: 'payout' }]
+    else match.createdAt = { $lt: until }
+  }
+
+  const balances = await LedgerEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { storeId: '$storeId', currency: '$currency' },
+        credit: { $sum: '$credit' },
+        debit: { $sum: '$debit' },
+      },
+    },
+  ]).session(session)
+
+  return balances.map((balance) => ({
+    storeId: balance._id.storeId,
+    currency: balance._id.currency,
+    balance: roundMoney(balance.credit - balance.debit),
+  }))
+}
+
+module.exports = {
+  postTransaction,
+  recordSale,
+  recordRefund,
+  recordPayout,
+  recordPayoutSettlement,
+  getVendorBalances,
+}
@@ -0,0 +1,6 @@
+// Round an amount to whole cents
+const roundMoney = (amount) => Math.round(amount * 100) / 100
+
+module.exports = {
+  roundMoney,
+}
@@ -0,0 +1,44 @@
+const ORDER_STATUSES = ['pending', 'confirmed', 'packed', 'shipped', 'delivered', 'cancelled', 'refunded']
+
+// Legal moves from each status. delivered orders can only be refunded, and
+// cancelled/refunded are final.
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['packed', 'cancelled'],
+  packed: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: [],
+}
+
+const canTransition = (from, to) => {
+  return (ORDER_STATUS_TRANSITIONS[from] || []).includes(to)
+}
+
+// Move an order document to a new status and record who did it in the status history.
+// Throws an error with status 409 when the move is not allowed.
+const transitionOrder = (order, to, { userId, note } = {}) => {
+  if (!canTransition(order.status, to)) {
+    const error = new Error(`Order cannot be moved from ${order.status} to ${to}`)
+    error.status = 409
+    throw error
+  }
+
+  order.status = to
+  order.statusHistory.push({
+    status: to,
+    changedBy: userId,
+    note,
+    changedAt: new Date(),
+  })
+
+  return order
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_STATUS_TRANSITIONS,
+  canTransition,
+  transitionOrder,
+}
@@ -0,0 +1,61 @@
+const crypto = require('crypto')
+
+const SIGNATURE_HEADER = 'x-fake-signature'
+
+const getSecret = () => process.env.FAKE_PAYMENT_WEBHOOK_SECRET || 'fake_webhook_secret'
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`
+
+const sign = (payload) => crypto.createHmac('sha256', getSecret()).update(payload).digest('hex')
+
+// Offline payment provider for development and tests. Nothing leaves the process, intents
+// are accepted as is and webhooks are signed with FAKE_PAYMENT_WEBHOOK_SECRET.
+const fakeProvider = {
+  name: 'fake',
+
+  createIntent: async ({ amount, currency, reference }) => {
+    const id = randomId('fake_pi')
+    return {
+      id,
+      clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+      amount,
+      currency,
+      reference,
+      status: 'requires_payment',
+    }
+  },
+
+  capture: async (intentId, amount) => {
+    return { id: intentId, amount, status: 'succeeded' }
+  },
+
+  refund: async (intentId, amount) => {
+    return { id: randomId('fake_re'), intentId, amount, status: 'succeeded' }
+  },
+
+  cancelIntent: async (intentId) => {
+    return { id: intentId, status: 'cancelled' }
+  },
+
+  // Returns the parsed event, or null when the signature does not match
+  verifyWebhook: (rawBody, headers) => {
+    const signature = headers[SIGNATURE_HEADER]
+    if (!rawBody || !signature) return null
+
+    const expected = Buffer.from(sign(rawBody))
+    const received = Buffer.from(String(signature))
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null
+    }
+
+    return JSON.parse(rawBody.toString())
+  },
+
+  // Build a signed webhook request body, used to simulate payments locally
+  buildWebhook: (type, data) => {
+    const payload = JSON.stringify({ id: randomId('fake_evt'), type, data })
+    return { payload, headers: { [SIGNATURE_HEADER]: sign(payload) } }
+  },
+}
+
+module.exports = fakeProvider
@@ -0,0 +1,97 @@
+const fakeProvider = require('./fakeProvider')
+const Payment = require('../../models/Payment')
+const Order = require('../../models/Order')
+const { roundMoney } = require('../money')
+const { recordRefund } = require('../ledger')
+
+// Every payment provider implements:
+//   createIntent({ amount, currency, reference }) -> { id, clientSecret, status }
+//   capture(intentId, amount) -> { id, amount, status }
+//   refund(intentId, amount) -> { id, amount, status }
+//   cancelIntent(intentId) -> { id, status }
+//   verifyWebhook(rawBody, headers) -> { id, type, data } or null when the signature is invalid
+//
+// Webhook event types are normalised to payment_intent.succeeded, payment_intent.payment_failed,
+// payment_intent.authorized and charge.refunded, with data.intentId set.
+const providers = {}
+
+// Anyone who knows the fake provider's webhook secret can mark orders as paid, so it is only
+// registered outside production. Production has to set PAYMENT_PROVIDER to a real provider.
+const isProduction = process.env.NODE_ENV === 'production'
+if (!isProduction) {
+  providers[fakeProvider.name] = fakeProvider
+}
+
+const DEFAULT_PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || (isProduction ? null : fakeProvider.name)
+
+const getPaymentProvider = (name = DEFAULT_PAYMENT_PROVIDER) => {
+  if (!name) {
+    const error = new Error('No payment provider configured, set PAYMENT_PROVIDER')
+    error.status = 503
+    throw error
+  }
+
+  const provider = providers[name]
+  if (!provider) {
+    const error = new Error(`Unknown payment provider: ${name}`)
+    error.status = 404
+    throw error
+  }
+  return provider
+}
+
+// Refund part of the payment that covered an order at the provider and record it on the payment
+const refundOrderPayment = async (orderId, amount, reason) => {
+  const payment = await Payment.findOne({ orders: orderId, status: { $in: ['succeeded', 'partially_refunded'] } })
+  if (!payment) {
+    const error = new Error('No captured payment found for this order')
+    error.status = 409
+    throw error
+  }
+
+  const refundable = roundMoney(payment.amount - payment.refundedAmount)
+  if (amount > refundable) {
+    const error = new Error(`Only ${refundable} ${payment.currency} of this payment can still be refunded`)
+    error.status = 400
+    throw error
+  }
+
+  const result = await getPaymentProvider(payment.provider).refund(payment.providerIntentId, amount)
+
+  payment.refunds.push({ providerRefundId: result.id, amount, orderId, reason })
+  payment.refundedAmount = roundMoney(payment.refundedAmount + amount)
+  payment.status = payment.refundedAmount >= payment.amount ? 'refunded' : 'partially_refunded'
+  await payment.save()
+
+  return { payment, providerRefundId: result.id }
+}
+
+// Give back what is left of an order's payment when a paid order is cancelled or refunded as a
+// whole. The store carries the refund in the ledger like a return refund, and gets the
+// commission back on the refunded share of the items. The order's payment fields are written
+// straight away, so a retry after a later failure doesn't refund again.
+const refundOrderBalance = async (order, reason) => {
+  if (!['paid', 'partially_refunded'].includes(order.paymentStatus)) return null
+
+  const amount = roundMoney(order.total - order.refundedAmount)
+  if (amount <= 0) return null
+
+  const { providerRefundId } = await refundOrderPayment(order._id, amount, reason)
+
+  order.refundedAmount = roundMoney(order.refundedAmount + amount)
+  order.paymentStatus = 'refunded'
+  await Order.updateOne({ _id: order._id }, { $set: { refundedAmount: order.refundedAmount, paymentStatus: 'refunded', updatedAt: new Date() } })
+
+  const includedTax = order.taxMode === 'inclusive' ? order.tax : 0
+  const itemsSubtotal = order.subtotal - (order.discount || 0) - includedTax
+  await recordRefund(order, { total: amount, subtotal: roundMoney((itemsSubtotal * amount) / order.total) })
+
+  return providerRefundId
+}
+
+module.exports = {
+  DEFAULT_PAYMENT_PROVIDER,
+  getPaymentProvider,
+  refundOrderPayment,
+  refundOrderBalance,
+}
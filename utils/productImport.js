@@ -0,0 +1,616 @@
+const path = require('path')
+const dns = require('dns')
+const net = require('net')
+const { once } = require('events')
+const { Agent, fetch } = require('undici')
+const { parse } = require('csv-parse/sync')
+const { stringify } = require('csv-stringify')
+const Joi = require('joi')
+const Product = require('../models/Product')
+const Category = require('../models/Category')
+const TaxClass = require('../models/TaxClass')
+const ImportJob = require('../models/ImportJob')
+const { getFromS3, deleteFromS3 } = require('./s3')
+const { processAndUploadImage } = require('./images')
+const { validateProductAttributes } = require('./attributes')
+const { logProductStockChanges, saveProductColors, sendLowStockAlerts } = require('./inventory')
+const { PRODUCT_STATUSES } = require('./productStatus')
+const { findTakenVariantSku, takenVariantSkuMessage } = require('./sku')
+
+const IMPORT_FORMATS = ['csv', 'jsonl']
+
+// One row per variant. The product columns are read from the first row of each product SKU.
+const CSV_COLUMNS = [
+  'sku',
+  'name',
+  'description',
+  'price',
+  'featured',
+  'status',
+  'publishAt',
+  'unpublishAt',
+  'categories',
+  'taxClass',
+  'lowStockThreshold',
+  'attributes',
+  'images',
+  'color',
+  'colorImage',
+  'size',
+  'quantity',
+  'variantSku',
+  'variantPrice',
+  'compareAtPrice',
+  'barcode',
+  'weight',
+  'variantImages',
+]
+
+// Separates several category names or image URLs in one CSV cell
+const LIST_SEPARATOR = '|'
+
+const REQUIRED_FOR_CREATE = ['name', 'description', 'price', 'categories', 'colors']
+
+const MAX_ROW_ERRORS = 1000
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024
+const PROGRESS_INTERVAL = 10
+const STALE_JOB_MINUTES = 30
+
+const imageUrlSchema = Joi.string().trim().uri({ scheme: ['http', 'https'] })
+
+// A product as read from one JSON Lines line or the CSV rows of one SKU. Categories and the tax
+// class are given by name, images by URL.
+const recordSchema = Joi.object({
+  sku: Joi.string().trim().max(64).required(),
+  name: Joi.string().trim().min(3).max(100),
+  description: Joi.string().trim().min(3).max(500),
+  price: Joi.number().min(0),
+  featured: Joi.boolean().truthy('yes', '1').falsy('no', '0'),
+  status: Joi.string().valid(...PRODUCT_STATUSES),
+  publishAt: Joi.date().allow(null),
+  unpublishAt: Joi.date().allow(null),
+  categories: Joi.array().items(Joi.string().trim()).min(1),
+  taxClass: Joi.string().trim().allow('', null),
+  lowStockThreshold: Joi.number().integer().min(0),
+  attributes: Joi.object(),
+  images: Joi.array().items(imageUrlSchema),
+  colors: Joi.array()
+    .items(
+      Joi.object({
+        name: Joi.string().trim().required(),
+        image: imageUrlSchema.allow(null),
+        sizes: Joi.array()
+          .items(
+            Joi.object({
+              name: Joi.string().trim().required(),
+              quantity: Joi.number().integer().min(0).required(),
+              sku: Joi.string().trim().max(64).allow(null),
+              price: Joi.number().min(0).allow(null),
+              compareAtPrice: Joi.number().min(0).allow(null),
+              barcode: Joi.string().trim().max(64).allow('', null),
+              weight: Joi.number().min(0).allow(null),
+              images: Joi.array().items(imageUrlSchema),
+            })
+          )
+          .min(1)
+          .required(),
+      })
+    )
+    .min(1),
+}).options({ abortEarly: false, stripUnknown: true })
+
+const importError = (message) => {
+  const error = new Error(message)
+  error.status = 400
+  return error
+}
+
+const cell = (row, column) => {
+  const value = row[column]?.trim()
+  return value === '' ? undefined : value
+}
+
+const splitList = (value) => value?.split(LIST_SEPARATOR).map((item) => item.trim()).filter(Boolean)
+
+// Group the CSV rows by product SKU, each row adds one size of a color
+const parseCsv = (buffer) => {
+  const rows = parse(buffer, { columns: true, bom: true, skip_empty_lines: true, info: true })
+  if (rows.length > 0 && !rows[0].info.columns.some((column) => column.name === 'sku')) {
+    throw importError('The CSV file needs a sku column')
+  }
+
+  const entries = new Map()
+
+  for (const { record: row, info } of rows) {
+    const sku = cell(row, 'sku')
+    const key = sku ? `sku:${sku}` : `row:${info.lines}`
+    let entry = entries.get(key)
+
+    if (!entry) {
+      entry = {
+        row: info.lines,
+        data: {
+          sku,
+          name: cell(row, 'name'),
+          description: cell(row, 'description'),
+          price: cell(row, 'price'),
+          featured: cell(row, 'featured'),
+          status: cell(row, 'status'),
+          publishAt: cell(row, 'publishAt'),
+          unpublishAt: cell(row, 'unpublishAt'),
+          categories: splitList(cell(row, 'categories')),
+          taxClass: cell(row, 'taxClass'),
+          lowStockThreshold: cell(row, 'lowStockThreshold'),
+          images: splitList(cell(row, 'images')),
+        },
+      }
+
+      const attributes = cell(row, 'attributes')
+      if (attributes) {
+        try {
+          entry.data.attributes = JSON.parse(attributes)
+        } catch (err) {
+          entry.error = 'Invalid attributes JSON'
+        }
+      }
+
+      entries.set(key, entry)
+    }
+
+    const colorName = cell(row, 'color')
+    if (!colorName) continue
+
+    entry.data.colors = entry.data.colors || []
+    let color = entry.data.colors.find((c) => c.name === colorName)
+    if (!color) {
+      color = { name: colorName, image: cell(row, 'colorImage'), sizes: [] }
+      entry.data.colors.push(color)
+    }
+
+    if (cell(row, 'size')) {
+      color.sizes.push({
+        name: cell(row, 'size'),
+        quantity: cell(row, 'quantity') ?? 0,
+        sku: cell(row, 'variantSku'),
+        price: cell(row, 'variantPrice'),
+        compareAtPrice: cell(row, 'compareAtPrice'),
+        barcode: cell(row, 'barcode'),
+        weight: cell(row, 'weight'),
+        images: splitList(cell(row, 'variantImages')),
+      })
+    }
+  }
+
+  return [...entries.values()]
+}
+
+const parseJsonLines = (buffer) => {
+  return buffer
+    .toString('utf8')
+    .split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), row: index + 1 }))
+    .filter(({ line }) => line)
+    .map(({ line, row }) => {
+      try {
+        return { row, data: JSON.parse(line) }
+      } catch (err) {
+        return { row, error: 'Invalid JSON' }
+      }
+    })
+}
+
+// Entries of { row, data } or { row, error }, one per product
+const parseImportFile = (buffer, format) => {
+  return format === 'csv' ? parseCsv(buffer) : parseJsonLines(buffer)
+}
+
+// Image URLs come from uploaded files, so they must not reach the server's own network:
+// loopback, private and link-local ranges (e.g. the 169.254.169.254 metadata address) and
+// other addresses that aren't on the public internet
+const blockedAddresses = new net.BlockList()
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3],
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv4')
+}
+for (const [network, prefix] of [
+  ['::', 127],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv6')
+}
+
+const isBlockedAddress = ({ address, family }) => blockedAddresses.check(address, family === 6 || family === 'IPv6' ? 'ipv6' : 'ipv4')
+
+// Image downloads connect through this lookup, so the addresses connected to are checked as well.
+// Otherwise a host could answer the check in assertPublicUrl with a public address and the
+// connection right after with a private one.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err)
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }]
+    if (addresses.some(isBlockedAddress)) {
+      return callback(Object.assign(new Error(`${hostname} is not on a public address`), { code: 'EBLOCKEDADDRESS' }))
+    }
+    callback(null, address, family)
+  })
+}
+
+const imageAgent = new Agent({ connect: { lookup: publicLookup } })
+
+const MAX_IMAGE_REDIRECTS = 3
+
+// url is the URL from the import file, location the one being fetched after redirects
+const assertPublicUrl = async (location, url) => {
+  const { protocol, hostname } = new URL(location)
+  if (protocol !== 'http:' && protocol !== 'https:') throw importError(`Image ${url} must be an http or https URL`)
+
+  let addresses
+  try {
+    addresses = await dns.promises.lookup(hostname.replace(/^\[|\]$/g, ''), { all: true })
+  } catch (err) {
+    throw importError(`Image ${url} could not be downloaded`)
+  }
+
+  if (addresses.some(isBlockedAddress)) {
+    throw importError(`Image ${url} is not on a public address`)
+  }
+}
+
+// Redirects are followed by hand so every hop is checked with assertPublicUrl. The body is
+// read until MAX_IMAGE_BYTES and the download is abandoned as soon as it gets larger.
+const downloadImage = async (url) => {
+  const signal = AbortSignal.timeout(15000)
+  const tooLarge = importError(`Image ${url} is larger than 10MB`)
+
+  let response
+  let location = url
+  try {
+    for (let redirects = 0; ; redirects++) {
+      await assertPublicUrl(location, url)
+      response = await fetch(location, { signal, redirect: 'manual', dispatcher: imageAgent })
+      if (![301, 302, 303, 307, 308].includes(response.status)) break
+
+      if (redirects === MAX_IMAGE_REDIRECTS || !response.headers.get('location')) {
+        throw importError(`Image ${url} could not be downloaded (too many redirects)`)
+      }
+      location = new URL(response.headers.get('location'), location).toString()
+    }
+  } catch (err) {
+    if (err.status) throw err
+    if (err.cause?.code === 'EBLOCKEDADDRESS') throw importError(`Image ${url} is not on a public address`)
+    throw importError(`Image ${url} could not be downloaded`)
+  }
+
+  if (!response.ok) throw importError(`Image ${url} could not be downloaded (${response.status})`)
+
+  const mimetype = response.headers.get('content-type')?.split(';')[0] || ''
+  if (!mimetype.startsWith('image/')) throw importError(`${url} is not an image`)
+
+  if (Number(response.headers.get('content-length')) > MAX_IMAGE_BYTES) throw tooLarge
+
+  const chunks = []
+  let size = 0
+  try {
+    for await (const chunk of response.body) {
+      size += chunk.length
+      if (size > MAX_IMAGE_BYTES) throw tooLarge
+      chunks.push(chunk)
+    }
+  } catch (err) {
+    if (err.status) throw err
+    throw importError(`Image ${url} could not be downloaded`)
+  }
+
+  return { buffer: Buffer.concat(chunks), mimetype, originalname: path.basename(new URL(location).pathname) || 'image' }
+}
+
+// Images the product already has are kept as they are, so exporting and importing a catalog
+// again doesn't upload anything. Other images on our own storage are referenced directly, any
+// other URL is downloaded once per job and uploaded like an image file.
+const resolveImages = async (urls = [], pathPrefix, knownImages, context) => {
+  const images = []
+
+  for (const url of urls) {
+    if (knownImages.has(url)) {
+      images.push(knownImages.get(url))
+    } else if (url.startsWith(`https://${process.env.R2_PUBLIC_DOMAIN}/`)) {
+      images.push({ original: url, thumbnail: url })
+    } else {
+      if (!context.downloads.has(url)) {
+        context.downloads.set(
+          url,
+          downloadImage(url).then((file) => processAndUploadImage(file, context.storeId, pathPrefix))
+        )
+      }
+      images.push(await context.downloads.get(url))
+    }
+  }
+
+  return images
+}
+
+const collectImages = (product) => {
+  const images = [
+    ...product.images,
+    ...product.colors.flatMap((color) => [color.image, ...color.sizes.flatMap((size) => size.images)]),
+  ].filter((image) => image?.original)
+
+  return new Map(images.map((image) => [image.original, { original: image.original, thumbnail: image.thumbnail }]))
+}
+
+const resolveNames = (names, idsByName, label) => {
+  const missing = names.filter((name) => !idsByName.has(name.toLowerCase()))
+  if (missing.length > 0) throw importError(`${label} not found in this store: ${missing.join(', ')}`)
+
+  return [...new Set(names.map((name) => idsByName.get(name.toLowerCase()).toString()))]
+}
+
+// Create the product of a validated record, or update the store's product with its SKU. Only
+// the fields present in the record are changed on an update.
+const importRecord = async (data, context) => {
+  const { storeId, userId } = context
+  // A product in the trash still holds its SKU
+  const product = await Product.findOne({ storeId, sku: data.sku }).setOptions({ withDeleted: true })
+  if (product?.deletedAt) {
+    throw importError(`A product with SKU ${data.sku} is in the trash, restore or delete it first`)
+  }
+
+  if (!product) {
+    const missing = REQUIRED_FOR_CREATE.filter((field) => data[field] === undefined)
+    if (missing.length > 0) throw importError(`New products need ${missing.join(', ')}`)
+  }
+
+  const fields = {}
+  for (const field of ['name', 'description', 'price', 'featured', 'status', 'publishAt', 'unpublishAt', 'lowStockThreshold']) {
+    if (data[field] !== undefined) fields[field] = data[field]
+  }
+
+  const publishAt = fields.publishAt !== undefined ? fields.publishAt : product?.publishAt
+  const unpublishAt = fields.unpublishAt !== undefined ? fields.unpublishAt : product?.unpublishAt
+  if (publishAt && unpublishAt && unpublishAt <= publishAt) throw importError('unpublishAt must be after publishAt')
+
+  if (data.categories) fields.categories = resolveNames(data.categories, context.categoryIds, 'Categories')
+  if (data.taxClass !== undefined) {
+    fields.taxClassId = data.taxClass ? resolveNames([data.taxClass], context.taxClassIds, 'Tax class')[0] : null
+  }
+
+  // Attributes are checked again when the categories change, their definitions may differ
+  if (data.attributes || fields.categories) {
+    const attributes = data.attributes || Object.fromEntries(product.attributes.map((attribute) => [attribute.key, attribute.value]))
+    fields.attributes = await validateProductAttributes(attributes, fields.categories || product.categories, storeId)
+  }
+
+  const knownImages = product ? collectImages(product) : new Map()
+
+  if (data.images) fields.images = await resolveImages(data.images, 'products', knownImages, context)
+
+  if (data.colors) {
+    const takenSku = await findTakenVariantSku(data.colors, storeId, product?._id)
+    if (takenSku) throw importError(takenVariantSkuMessage(takenSku))
+
+    fields.colors = []
+    for (const color of data.colors) {
+      const [image] = await resolveImages(color.image ? [color.image] : [], 'products/colors', knownImages, context)
+      const sizes = []
+      for (const size of color.sizes) {
+        sizes.push({ ...size, sku: size.sku || undefined, images: await resolveImages(size.images, 'products/variants', knownImages, context) })
+      }
+      fields.colors.push({ name: color.name, image, sizes })
+    }
+  }
+
+  if (!product) {
+    const createdProduct = await Product.create({ ...fields, sku: data.sku, storeId })
+    const movements = await logProductStockChanges([], createdProduct, { reason: 'Product import', userId })
+    return { created: true, movements }
+  }
+
+  const previousColors = product.colors.toObject()
+  product.set(fields)
+
+  if (!fields.colors) {
+    await product.save()
+    return { created: false, movements: [] }
+  }
+
+  const movements = await saveProductColors(product, previousColors, { reason: 'Product import', userId })
+  return { created: false, movements }
+}
+
+const loadContext = async (job) => {
+  const [categories, taxClasses] = await Promise.all([
+    Category.find({ storeId: job.storeId }).select('name').lean(),
+    TaxClass.find({ storeId: job.storeId }).select('name').lean(),
+  ])
+
+  const idsByName = (docs) => new Map(docs.map((doc) => [doc.name.toLowerCase(), doc._id]))
+
+  return {
+    storeId: job.storeId,
+    userId: job.userId,
+    categoryIds: idsByName(categories),
+    taxClassIds: idsByName(taxClasses),
+    downloads: new Map(),
+  }
+}
+
+// Import every product of the job's file. A failing product is reported in rowErrors and
+// doesn't stop the others. A job picked up again after a restart continues after the last
+// saved progress.
+const runImportJob = async (job) => {
+  const movements = []
+
+  try {
+    const entries = parseImportFile(await getFromS3(job.fileKey), job.format)
+    const context = await loadContext(job)
+
+    job.totalRecords = entries.length
+    job.startedAt = job.startedAt || new Date()
+    await job.save()
+
+    for (const entry of entries.slice(job.processedRecords)) {
+      try {
+        if (entry.error) throw importError(entry.error)
+
+        const { error, value } = recordSchema.validate(entry.data)
+        if (error) throw importError(error.details.map((err) => err.message).join(', '))
+
+        const result = await importRecord(value, context)
+        if (result.created) job.createdCount++
+        else job.updatedCount++
+        movements.push(...result.movements)
+      } catch (error) {
+        job.failedCount++
+        if (job.rowErrors.length < MAX_ROW_ERRORS) {
+          job.rowErrors.push({
+            row: entry.row,
+            sku: typeof entry.data?.sku === 'string' ? entry.data.sku : undefined,
+            message: error.code === 11000 ? 'A SKU of this product is already used in this store' : error.message,
+          })
+        }
+      }
+
+      job.processedRecords++
+      if (job.processedRecords % PROGRESS_INTERVAL === 0) await job.save()
+    }
+
+    job.status = 'completed'
+  } catch (error) {
+    job.status = 'failed'
+    job.error = error.message
+  }
+
+  job.finishedAt = new Date()
+  await job.save()
+
+  sendLowStockAlerts(movements)
+  deleteFromS3(job.fileKey).catch(() => {})
+}
+
+let processing = false
+
+// Run the queued import jobs one after the other. Called on an interval from server.js and
+// right after a job is created. Jobs left processing by a stopped server are picked up again
+// once they haven't made progress for a while.
+const processImportJobs = async () => {
+  if (processing) return
+  processing = true
+
+  try {
+    for (;;) {
+      const job = await ImportJob.findOneAndUpdate(
+        {
+          $or: [{ status: 'queued' }, { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_JOB_MINUTES * 60 * 1000) } }],
+        },
+        { $set: { status: 'processing', updatedAt: new Date() } },
+        { sort: { createdAt: 1 }, new: true }
+      )
+      if (!job) break
+
+      await runImportJob(job)
+    }
+  } catch (error) {
+    console.error('Error processing import jobs:', error)
+  } finally {
+    processing = false
+  }
+}
+
+// A product in the import format, from a lean product with populated categories and tax class
+const toImportRecord = (product) => ({
+  sku: product.sku,
+  name: product.name,
+  description: product.description,
+  price: product.price,
+  featured: product.featured,
+  status: product.status,
+  publishAt: product.publishAt,
+  unpublishAt: product.unpublishAt,
+  categories: product.categories.filter(Boolean).map((category) => category.name),
+  taxClass: product.taxClassId?.name || '',
+  lowStockThreshold: product.lowStockThreshold,
+  attributes: Object.fromEntries((product.attributes || []).map((attribute) => [attribute.key, attribute.value])),
+  images: product.images.map((image) => image.original),
+  colors: product.colors.map((color) => ({
+    name: color.name,
+    image: color.image?.original || null,
+    sizes: color.sizes.map((size) => ({
+      name: size.name,
+      quantity: size.quantity,
+      sku: size.sku,
+      price: size.price ?? null,
+      compareAtPrice: size.compareAtPrice ?? null,
+      barcode: size.barcode,
+      weight: size.weight,
+      images: (size.images || []).map((image) => image.original),
+    })),
+  })),
+})
+
+const toCsvRows = (record) => {
+  const productColumns = {
+    ...record,
+    categories: record.categories.join(LIST_SEPARATOR),
+    attributes: Object.keys(record.attributes).length > 0 ? JSON.stringify(record.attributes) : '',
+    images: record.images.join(LIST_SEPARATOR),
+  }
+
+  const rows = record.colors.flatMap((color) =>
+    color.sizes.map((size) => ({
+      ...productColumns,
+      color: color.name,
+      colorImage: color.image,
+      size: size.name,
+      quantity: size.quantity,
+      variantSku: size.sku,
+      variantPrice: size.price,
+      compareAtPrice: size.compareAtPrice,
+      barcode: size.barcode,
+      weight: size.weight,
+      variantImages: size.images.join(LIST_SEPARATOR),
+    }))
+  )
+
+  return rows.length > 0 ? rows : [productColumns]
+}
+
+// Stream the store's whole catalog to output in the import format
+const writeProductExport = async (storeId, format, output) => {
+  const cursor = Product.find({ storeId }).populate('categories', 'name').populate('taxClassId', 'name').sort({ createdAt: 1 }).lean().cursor()
+
+  const stream = format === 'csv' ? stringify({ header: true, columns: CSV_COLUMNS, cast: { boolean: (value) => String(value), date: (value) => value.toISOString() } }) : output
+  if (stream !== output) stream.pipe(output)
+
+  for await (const product of cursor) {
+    const record = toImportRecord(product)
+    const chunks = format === 'csv' ? toCsvRows(record) : [`${JSON.stringify(record)}\n`]
+
+    for (const chunk of chunks) {
+      if (!stream.write(chunk)) await once(stream, 'drain')
+    }
+  }
+
+  stream.end()
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  CSV_COLUMNS,
+  parseImportFile,
+  processImportJobs,
+  writeProductExport,
+}
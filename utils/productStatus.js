@@ -0,0 +1,42 @@
+const PRODUCT_STATUSES = ['draft', 'published', 'archived']
+
+// Conditions for products customers can see right now: published, past publishAt and
+// before unpublishAt. An empty publishAt or unpublishAt doesn't limit anything.
+const visibleProductFilter = (now = new Date()) => ({
+  status: 'published',
+  publishAt: { $not: { $gt: now } },
+  unpublishAt: { $not: { $lte: now } },
+})
+
+// What the store staff sees: the stored status, or scheduled/expired for a published
+// product outside its publishing window
+const getPublicationState = (product, now = new Date()) => {
+  if (product.status !== 'published') return product.status
+  if (product.publishAt > now) return 'scheduled'
+  if (product.unpublishAt && product.unpublishAt <= now) return 'expired'
+  return 'published'
+}
+
+// Query conditions for one of the states of getPublicationState
+const publicationStateFilter = (state, now = new Date()) => {
+  switch (state) {
+    case 'scheduled':
+      return { status: 'published', publishAt: { $gt: now } }
+    case 'expired':
+      return { status: 'published', unpublishAt: { $lte: now } }
+    case 'published':
+      return visibleProductFilter(now)
+    default:
+      return { status: state }
+  }
+}
+
+const PUBLICATION_STATES = [...PRODUCT_STATUSES, 'scheduled', 'expired']
+
+module.exports = {
+  PRODUCT_STATUSES,
+  PUBLICATION_STATES,
+  visibleProductFilter,
+  getPublicationState,
+  publicationStateFilter,
+}
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose')
+const Review = require('../models/Review')
+const Product = require('../models/Product')
+const Order = require('../models/Order')
+
+// Recalculate the average rating and review count of a product from its approved reviews
+const updateProductRating = async (productId) => {
+  const [summary] = await Review.aggregate([
+    { $match: { productId: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+    { $group: { _id: '$productId', average: { $avg: '$rating' }, count: { $sum: 1 } } },
+  ])
+
+  await Product.updateOne(
+    { _id: productId },
+    {
+      $set: {
+        ratingAverage: summary ? Math.round(summary.average * 10) / 10 : 0,
+        ratingCount: summary ? summary.count : 0,
+      },
+    }
+  )
+}
+
+// The customer's delivered order containing the product, if they bought it
+const findVerifiedPurchase = (userId, storeId, productId) => {
+  return Order.findOne({ userId, storeId, status: 'delivered', 'items.productId': productId }).sort({ createdAt: -1 }).select('_id').lean()
+}
+
+module.exports = {
+  updateProductRating,
+  findVerifiedPurchase,
+}
@@ -1,50 +1,74 @@
-const axios = require('axios')
+const ROYAL_MAIL_API_URL = process.env.ROYAL_MAIL_API_URL || 'https://api.royalmail.com'
 
-const getShippingRates = async (shippingAddress) => {
-  const { line1, line2, city, state, country, postal_code } = shippingAddress
-  const destinationAddress = `${line1}, ${line2}, ${city}, ${state}, ${country}, ${postal_code}`
+// Checkout waits for the rates, so a slow API must not hold it up
+const REQUEST_TIMEOUT_MS = 10000
 
-  const apiUrl = `https://api.royalmail.com/shipping/rates?destinationAddress=${encodeURIComponent(destinationAddress)}`
+const formatAddress = (address) => {
+  const { line1, line2, city, state, country, postal_code } = address
+  return [line1, line2, city, state, country, postal_code].filter(Boolean).join(', ')
+}
 
-  try {
-    const response = await axios.get(apiUrl, {
-      headers: {
-        'X-RoyalMail-ApiKey': process.env.ROYAL_MAIL_API_KEY,
-      },
-    })
+const request = async (path, options = {}) => {
+  const response = await fetch(`${ROYAL_MAIL_API_URL}${path}`, {
+    ...options,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    headers: {
+      'Content-Type': 'application/json',
+      'X-RoyalMail-ApiKey': process.env.ROYAL_MAIL_API_KEY,
+      ...options.headers,
+    },
+  })
+
+  if (!response.ok) {
+    const error = new Error(`Royal Mail API responded with ${response.status}`)
+    error.status = 502
+    error.data = await response.text()
+    throw error
+  }
+
+  return response.json()
+}
+
+const getShippingRates = async (shippingAddress) => {
+  const destinationAddress = formatAddress(shippingAddress)
 
-    return response.data
+  try {
+    return await request(`/shipping/rates?destinationAddress=${encodeURIComponent(destinationAddress)}`)
   } catch (error) {
     console.error('Error fetching shipping rates:', error)
     throw error
   }
 }
 
-const createShippingLabel = async (shippingAddress, totalItems) => {
-  const { line1, line2, city, state, country, postal_code } = shippingAddress
-  const destinationAddress = `${line1}, ${line2}, ${city}, ${state}, ${country}, ${postal_code}`
-
-  const apiUrl = 'https://api.royalmail.com/shipping/labels'
+const createShippingLabel = async (shippingAddress, totalItems, serviceCode) => {
   const payload = {
-    destinationAddress,
+    destinationAddress: formatAddress(shippingAddress),
     totalItems,
+    serviceCode,
   }
 
   try {
-    const response = await axios.post(apiUrl, payload, {
-      headers: {
-        'X-RoyalMail-ApiKey': process.env.ROYAL_MAIL_API_KEY,
-      },
+    return await request('/shipping/labels', {
+      method: 'POST',
+      body: JSON.stringify(payload),
     })
-
-    return response.data
   } catch (error) {
     console.error('Error creating shipping label:', error)
     throw error
   }
 }
 
+const getTrackingEvents = async (trackingNumber) => {
+  try {
+    return await request(`/tracking/${encodeURIComponent(trackingNumber)}/events`)
+  } catch (error) {
+    console.error('Error fetching tracking events:', error)
+    throw error
+  }
+}
+
 module.exports = {
   getShippingRates,
   createShippingLabel,
+  getTrackingEvents,
 }
@@ -1,4 +1,4 @@
-const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3')
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3')
 
 const s3 = new S3Client({
   credentials: {
@@ -66,6 +66,23 @@ const deleteFromS3 = async (key) => {
   }
 }
 
+// Read back a stored file as a buffer
+const getFromS3 = async (key) => {
+  try {
+    const result = await s3.send(
+      new GetObjectCommand({
+        Bucket: process.env.R2_BUCKET_NAME,
+        Key: key,
+      })
+    )
+
+    return Buffer.from(await result.Body.transformToByteArray())
+  } catch (err) {
+    console.error('Download error:', err)
+    throw err
+  }
+}
+
 // Add this function to test connectivity
 const testR2Connection = async () => {
   try {
@@ -95,6 +112,7 @@ const testR2Connection = async () => {
 
 module.exports = {
   uploadToS3,
+  getFromS3,
   deleteFromS3,
   testR2Connection,
 }
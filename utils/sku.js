@@ -0,0 +1,31 @@
+const Product = require('../models/Product')
+
+// Variant SKUs must be unique within the store, products in the trash included since the unique
+// index still holds their SKUs. Returns the first SKU that is already taken as { sku, inTrash },
+// or null when they are all free.
+const findTakenVariantSku = async (colors, storeId, productId) => {
+  const skus = colors.flatMap((color) => color.sizes.map((size) => size.sku?.toUpperCase()).filter(Boolean))
+
+  const duplicate = skus.find((sku, index) => skus.indexOf(sku) !== index)
+  if (duplicate) return { sku: duplicate, inTrash: false }
+
+  if (skus.length === 0) return null
+
+  const product = await Product.findOne({ storeId, _id: { $ne: productId }, 'colors.sizes.sku': { $in: skus } })
+    .setOptions({ withDeleted: true })
+    .select('colors.sizes.sku deletedAt')
+    .lean()
+  if (!product) return null
+
+  const sku = skus.find((sku) => product.colors.some((color) => color.sizes.some((size) => size.sku === sku)))
+  return { sku, inTrash: !!product.deletedAt }
+}
+
+const takenVariantSkuMessage = ({ sku, inTrash }) => {
+  return inTrash ? `Variant SKU ${sku} belongs to a product in the trash, restore or delete it first` : `Variant SKU ${sku} is already used in this store`
+}
+
+module.exports = {
+  findTakenVariantSku,
+  takenVariantSkuMessage,
+}
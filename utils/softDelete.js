@@ -0,0 +1,46 @@
+const mongoose = require('mongoose')
+
+const QUERY_HOOKS = ['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany']
+
+// Mongoose plugin for soft deletion. Documents get deletedAt and deletedBy, and queries leave
+// deleted documents out unless they filter on deletedAt themselves or set the withDeleted
+// option, e.g. Product.findOne(filter).setOptions({ withDeleted: true }).
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  })
+
+  schema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } })
+
+  schema.pre(QUERY_HOOKS, function () {
+    if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return
+    this.where({ deletedAt: null })
+  })
+
+  schema.pre('aggregate', function () {
+    if (this.options.withDeleted) return
+    this.pipeline().unshift({ $match: { deletedAt: null } })
+  })
+
+  schema.methods.softDelete = function (userId) {
+    this.deletedAt = new Date()
+    this.deletedBy = userId
+    return this.save()
+  }
+
+  schema.methods.restore = function () {
+    this.deletedAt = null
+    this.deletedBy = null
+    return this.save()
+  }
+}
+
+module.exports = softDelete
@@ -0,0 +1,95 @@
+const Product = require('../models/Product')
+const Category = require('../models/Category')
+const TaxClass = require('../models/TaxClass')
+const { roundMoney } = require('./money')
+
+const TAX_MODES = ['exclusive', 'inclusive']
+
+const sameText = (a, b) => (a || '').trim().toUpperCase() === (b || '').trim().toUpperCase()
+
+// Rate of a tax class for a shipping address. A rule for the country and state wins over a
+// country-wide rule, and the class default applies when no rule matches.
+const resolveRate = (taxClass, address = {}) => {
+  const countryRules = taxClass.rules.filter((rule) => sameText(rule.country, address.country))
+  const rule = countryRules.find((countryRule) => countryRule.state && sameText(countryRule.state, address.state)) || countryRules.find((countryRule) => !countryRule.state)
+
+  return rule ? rule.rate : taxClass.defaultRate
+}
+
+// The tax class of each product: its own override, otherwise the class of its first category that has one
+const findProductTaxClasses = async (productIds, storeId) => {
+  const products = await Product.find({ _id: { $in: productIds }, storeId }).select('taxClassId categories').lean()
+  const categories = await Category.find({
+    _id: { $in: products.flatMap((product) => product.categories) },
+    taxClassId: { $ne: null },
+  })
+    .select('taxClassId')
+    .lean()
+  const categoryClasses = new Map(categories.map((category) => [category._id.toString(), category.taxClassId]))
+
+  const taxClassIdByProduct = new Map(
+    products.map((product) => {
+      const categoryClass = product.categories.map((categoryId) => categoryClasses.get(categoryId.toString())).find(Boolean)
+      return [product._id.toString(), product.taxClassId || categoryClass || null]
+    })
+  )
+
+  const taxClasses = await TaxClass.find({ _id: { $in: [...taxClassIdByProduct.values()].filter(Boolean) }, storeId }).lean()
+  const taxClassesById = new Map(taxClasses.map((taxClass) => [taxClass._id.toString(), taxClass]))
+
+  return new Map([...taxClassIdByProduct].map(([productId, taxClassId]) => [productId, taxClassId ? taxClassesById.get(taxClassId.toString()) : null]))
+}
+
+// Work out the tax of order lines ({ productId, lineTotal }) for a store and shipping address.
+// The coupon discount is spread over the lines by value before tax. Products without a tax class
+// use the store's settings.taxRate. In inclusive mode prices already contain the tax, so the
+// tax is the part of the price above the net amount and is not added to the total.
+const calculateTax = async (lines, store, { shippingAddress, discount = 0 }) => {
+  const taxMode = store.settings.taxMode || 'exclusive'
+  const taxClasses = await findProductTaxClasses(
+    lines.map((line) => line.productId),
+    store._id
+  )
+
+  const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0)
+  let remainingDiscount = discount
+
+  const taxLinesByKey = new Map()
+  const lineTaxes = lines.map((line, index) => {
+    const lineDiscount = index === lines.length - 1 ? remainingDiscount : subtotal > 0 ? roundMoney((discount * line.lineTotal) / subtotal) : 0
+    remainingDiscount = roundMoney(remainingDiscount - lineDiscount)
+
+    const taxClass = taxClasses.get(line.productId.toString())
+    const rate = taxClass ? resolveRate(taxClass, shippingAddress) : store.settings.taxRate || 0
+    const amount = line.lineTotal - lineDiscount
+
+    const taxable = taxMode === 'inclusive' ? amount / (1 + rate) : amount
+    const tax = roundMoney(taxMode === 'inclusive' ? amount - taxable : taxable * rate)
+
+    const key = `${taxClass?._id || 'store'}:${rate}`
+    const taxLine = taxLinesByKey.get(key) || { taxClassId: taxClass?._id || null, name: taxClass?.name || 'Tax', rate, taxable: 0, tax: 0 }
+    taxLine.taxable = roundMoney(taxLine.taxable + taxable)
+    taxLine.tax = roundMoney(taxLine.tax + tax)
+    taxLinesByKey.set(key, taxLine)
+
+    return { taxClassId: taxClass?._id || null, taxRate: rate, tax }
+  })
+
+  const taxLines = [...taxLinesByKey.values()].filter((taxLine) => taxLine.taxable > 0)
+  const tax = roundMoney(taxLines.reduce((sum, taxLine) => sum + taxLine.tax, 0))
+  const taxable = taxLines.reduce((sum, taxLine) => sum + taxLine.taxable, 0)
+
+  return {
+    taxMode,
+    // Effective rate over the whole order, the breakdown per rate is in taxLines
+    taxRate: taxable > 0 ? Math.round((tax / taxable) * 10000) / 10000 : 0,
+    tax,
+    taxLines,
+    lineTaxes,
+  }
+}
+
+module.exports = {
+  TAX_MODES,
+  calculateTax,
+}
@@ -0,0 +1,96 @@
+const Store = require('../models/Store')
+const Category = require('../models/Category')
+const Product = require('../models/Product')
+const User = require('../models/User')
+const { deleteFromS3 } = require('./s3')
+const { removeFromTree } = require('./categoryTree')
+
+// How long deleted stores, categories and products can be restored
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30')
+
+const getPurgeDate = (deletedAt) => new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+
+// Files are stored under the path of their public URL. A file that can't be deleted is only
+// logged, it doesn't keep the record around.
+const deleteFiles = async (urls) => {
+  for (const url of urls.filter(Boolean)) {
+    try {
+      await deleteFromS3(new URL(url).pathname.slice(1))
+    } catch (error) {
+      console.error(`Error deleting ${url} from S3:`, error.message)
+    }
+  }
+}
+
+const productImageUrls = (product) => {
+  const images = [
+    ...product.images,
+    ...product.colors.flatMap((color) => [color.image, ...color.sizes.flatMap((size) => size.images || [])]),
+  ]
+
+  return images.filter(Boolean).flatMap((image) => [image.original, image.thumbnail])
+}
+
+// Permanently delete a product and its images
+const purgeProduct = async (product) => {
+  await deleteFiles(productImageUrls(product))
+  await Product.deleteOne({ _id: product._id })
+}
+
+// Permanently delete a category and its images, and take it off the products that still have it.
+// Subcategories still under it move up one level so they don't point at a missing parent.
+const purgeCategory = async (category) => {
+  await deleteFiles([category.image, category.thumbnail])
+  await Product.updateMany({ categories: category._id }, { $pull: { categories: category._id }, $unset: { [`categoryPositions.${category._id}`]: '' } }).setOptions({ withDeleted: true })
+  await removeFromTree(category)
+  await Category.deleteOne({ _id: category._id })
+}
+
+// Permanently delete a store with all its products and categories, and remove its staff roles
+const purgeStore = async (store) => {
+  for await (const product of Product.find({ storeId: store._id }).setOptions({ withDeleted: true }).lean().cursor()) {
+    await purgeProduct(product)
+  }
+
+  for await (const category of Category.find({ storeId: store._id }).setOptions({ withDeleted: true }).lean().cursor()) {
+    await purgeCategory(category)
+  }
+
+  await User.updateMany({ 'storeRoles.storeId': store._id }, { $pull: { storeRoles: { storeId: store._id } } })
+  await deleteFiles([store.logo, store.banner])
+  await Store.deleteOne({ _id: store._id })
+}
+
+// Called on an interval from server.js. Purges everything that has been in the trash for
+// longer than the retention period.
+const purgeExpiredTrash = async () => {
+  const deletedBefore = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+  const query = { deletedAt: { $lte: deletedBefore } }
+  const purged = { stores: 0, categories: 0, products: 0 }
+
+  for (const [type, Model, purge] of [
+    ['stores', Store, purgeStore],
+    ['categories', Category, purgeCategory],
+    ['products', Product, purgeProduct],
+  ]) {
+    for await (const doc of Model.find(query).lean().cursor()) {
+      try {
+        await purge(doc)
+        purged[type]++
+      } catch (error) {
+        console.error(`Error purging ${type} ${doc._id}:`, error)
+      }
+    }
+  }
+
+  return purged
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  getPurgeDate,
+  purgeProduct,
+  purgeCategory,
+  purgeStore,
+  purgeExpiredTrash,
+}